@@ -0,0 +1,74 @@
+/**
+ * @author GuangHui
+ * @description 协作操作相关函数
+ */
+
+import { cloneStroke } from './stroke'
+
+let idSeed = 0
+
+/**
+ * 生成协作相关的id(用户、操作)
+ *
+ * @export String
+ * @param {String} prefix 前缀
+ * @returns
+ */
+export function createCollabId(prefix) {
+  idSeed++
+  return `${prefix}-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}${idSeed.toString(36)}`
+}
+
+/**
+ * 比较笔画的先后顺序，按起点时间排序，时间相同时按id排序
+ * 各端使用相同的排序规则，保证笔画(尤其是橡皮擦)的叠放顺序一致
+ *
+ * @param {Object} a 笔画
+ * @param {Object} b 笔画
+ * @returns
+ */
+function compareStroke(a, b) {
+  const timeA = a.points.length ? a.points[0].t || 0 : 0
+  const timeB = b.points.length ? b.points[0].t || 0 : 0
+
+  if (timeA !== timeB) return timeA - timeB
+
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+}
+
+/**
+ * 应用笔画变更，返回新的笔画列表
+ * 新增的笔画按先后顺序插入，已存在的笔画忽略
+ *
+ * @export Array
+ * @param {Array} strokes 笔画列表
+ * @param {Object} changes 变更{add:[笔画],remove:[笔画id]}
+ * @returns
+ */
+export function applyStrokeChanges(strokes, { add = [], remove = [] }) {
+  const result = strokes.filter(stroke => !remove.includes(stroke.id))
+
+  add.forEach(stroke => {
+    if (result.some(item => item.id === stroke.id)) return
+
+    let index = result.length
+    while (index > 0 && compareStroke(result[index - 1], stroke) > 0) index--
+
+    result.splice(index, 0, stroke)
+  })
+
+  return result
+}
+
+/**
+ * 序列化笔画变更，新增的笔画深拷贝，避免与本地笔画共享引用
+ *
+ * @export Object
+ * @param {Object} changes 变更{add:[笔画],remove:[笔画id]}
+ * @returns
+ */
+export function serializeChanges({ add = [], remove = [] }) {
+  return { add: add.map(cloneStroke), remove: [...remove] }
+}
@@ -0,0 +1,83 @@
+/**
+ * @author GuangHui
+ * @description 简易事件中心
+ */
+
+/**
+ * 创建事件中心
+ *
+ * @export Object
+ * @returns {on,off,once,emit,listenerCount}
+ */
+export function createEmitter() {
+  // {eventName:[handler]}
+  let listeners = {}
+
+  /**
+   * 监听事件
+   * @param {String} name 事件名
+   * @param {Function} handler 回调
+   */
+  function on(name, handler) {
+    if (!name || typeof handler !== 'function') return
+    ;(listeners[name] || (listeners[name] = [])).push(handler)
+  }
+
+  /**
+   * 取消监听，不传handler则取消该事件的全部监听，不传参数则取消全部事件的监听
+   * @param {String} name 事件名
+   * @param {Function} handler 回调
+   */
+  function off(name, handler) {
+    if (!name) {
+      listeners = {}
+      return
+    }
+
+    if (!listeners[name]) return
+
+    listeners[name] = handler
+      ? listeners[name].filter(
+          item => item !== handler && item._origin !== handler
+        )
+      : []
+  }
+
+  /**
+   * 监听事件，触发一次后自动取消
+   * @param {String} name 事件名
+   * @param {Function} handler 回调
+   */
+  function once(name, handler) {
+    if (typeof handler !== 'function') return
+
+    const wrapper = payload => {
+      off(name, wrapper)
+      handler(payload)
+    }
+    // 记录原始回调，方便通过off(name,handler)取消
+    wrapper._origin = handler
+
+    on(name, wrapper)
+  }
+
+  /**
+   * 触发事件
+   * @param {String} name 事件名
+   * @param {Object} payload 事件数据
+   */
+  function emit(name, payload) {
+    // 复制一份，避免回调中增删监听影响本次触发
+    ;(listeners[name] || []).slice().forEach(handler => handler(payload))
+  }
+
+  /**
+   * 获取事件的监听数量
+   * @param {String} name 事件名
+   */
+  function listenerCount(name) {
+    return (listeners[name] || []).length
+  }
+
+  return { on, off, once, emit, listenerCount }
+}
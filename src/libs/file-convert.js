@@ -23,3 +23,19 @@ export function blob2File(blob, name) {
     return new File([blob], name, { type: blob.type })
   }
 }
+
+/**
+ * 无界面模式下的canvas(如node-canvas)可编码的图片类型
+ */
+export const HEADLESS_MIME_TYPES = ['image/png', 'image/jpeg']
+
+/**
+ * 图片类型转MIME类型，jpg转为image/jpeg
+ *
+ * @export String
+ * @param {String} type 图片类型
+ * @returns
+ */
+export function getMimeType(type) {
+  return `image/${type === 'jpg' ? 'jpeg' : type}`
+}
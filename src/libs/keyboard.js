@@ -0,0 +1,83 @@
+/**
+ * @author GuangHui
+ * @description 键盘快捷键相关函数
+ */
+
+// 默认快捷键，mod在Mac下为Cmd，其他平台为Ctrl；一个操作可对应多个快捷键
+export const DEFAULT_KEY_BINDINGS = {
+  revoke: 'mod+z', // 撤销
+  redo: ['mod+shift+z', 'mod+y'], // 重做
+  clear: 'delete', // 清空
+  decreaseWidth: '[', // 减小画笔(橡皮擦)粗细
+  increaseWidth: ']', // 增大画笔(橡皮擦)粗细
+  rotate: 'r', // 顺时针旋转
+  rotateBack: 'shift+r' // 逆时针旋转
+}
+
+/**
+ * 合并自定义快捷键，值为null或空数组时禁用该操作
+ *
+ * @export Object
+ * @param {Object} bindings 自定义快捷键
+ * @returns
+ */
+export function mergeKeyBindings(bindings) {
+  return {
+    ...DEFAULT_KEY_BINDINGS,
+    ...(bindings && typeof bindings === 'object' ? bindings : {})
+  }
+}
+
+/**
+ * 解析快捷键，如mod+shift+z
+ *
+ * @param {String} shortcut 快捷键
+ * @returns {key,mod,shift,alt}
+ */
+function parseShortcut(shortcut) {
+  const parts = String(shortcut)
+    .toLowerCase()
+    .split('+')
+
+  return {
+    key: parts[parts.length - 1],
+    mod: parts.includes('mod'),
+    shift: parts.includes('shift'),
+    alt: parts.includes('alt')
+  }
+}
+
+/**
+ * 键盘事件是否与快捷键匹配，修饰键需完全一致
+ *
+ * @export Boolean
+ * @param {KeyboardEvent} e 键盘事件
+ * @param {String} shortcut 快捷键
+ * @returns
+ */
+export function matchShortcut(e, shortcut) {
+  const { key, mod, shift, alt } = parseShortcut(shortcut)
+
+  return (
+    String(e.key).toLowerCase() === key &&
+    !!(e.ctrlKey || e.metaKey) === mod &&
+    !!e.shiftKey === shift &&
+    !!e.altKey === alt
+  )
+}
+
+/**
+ * 获取键盘事件对应的操作
+ *
+ * @export String
+ * @param {KeyboardEvent} e 键盘事件
+ * @param {Object} bindings 快捷键{操作:快捷键|[快捷键]}
+ * @returns 操作名，无匹配时返回undefined
+ */
+export function getKeyAction(e, bindings) {
+  return Object.keys(bindings).find(action =>
+    []
+      .concat(bindings[action] || [])
+      .some(shortcut => matchShortcut(e, shortcut))
+  )
+}
@@ -0,0 +1,53 @@
+/**
+ * @author GuangHui
+ * @description 多页文档相关函数
+ */
+
+let pageSeed = 0
+
+// 首页的id
+export const DEFAULT_PAGE_ID = 'page-default'
+
+// 每页独立保存的状态：尺寸、背景、旋转、笔画及历史记录
+export const PAGE_STATE_KEYS = [
+  'width',
+  'height',
+  'bgImgURL',
+  '_bgImgObject',
+  'originalSize',
+  'bgImgRotate',
+  '_bgImgFrame',
+  'bgColor',
+  'bgImgFit',
+  'bgImgAlignX',
+  'bgImgAlignY',
+  'strokes',
+  'paintCount',
+  'revokeStack',
+  'redoStack'
+]
+
+/**
+ * 生成页面id
+ *
+ * @export String
+ * @returns
+ */
+export function createPageId() {
+  pageSeed++
+  return `page-${Date.now().toString(36)}-${pageSeed.toString(36)}`
+}
+
+/**
+ * 从画板实例中提取页面状态
+ *
+ * @export Object
+ * @param {Object} source 画板实例或页面
+ * @returns
+ */
+export function pickPageState(source) {
+  return PAGE_STATE_KEYS.reduce((state, key) => {
+    state[key] = source[key]
+    return state
+  }, {})
+}
@@ -0,0 +1,100 @@
+/**
+ * @author GuangHui
+ * @description 笔画回放相关函数
+ */
+
+// 缺少时间戳时，相邻采样点的默认间隔(ms)
+const DEFAULT_POINT_INTERVAL = 16
+
+/**
+ * 请求下一帧
+ *
+ * @export Number
+ * @param {Function} callback 回调，参数为当前时间
+ * @returns
+ */
+export function requestFrame(callback) {
+  return typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(callback)
+    : setTimeout(() => callback(Date.now()), DEFAULT_POINT_INTERVAL)
+}
+
+/**
+ * 取消帧请求
+ *
+ * @export
+ * @param {Number} id 帧请求id
+ */
+export function cancelFrame(id) {
+  typeof cancelAnimationFrame === 'function'
+    ? cancelAnimationFrame(id)
+    : clearTimeout(id)
+}
+
+/**
+ * 根据笔画的采样点时间戳生成回放时间轴
+ * 笔画间的停顿超过maxGap时按maxGap计算，避免长时间空等
+ *
+ * @export Object
+ * @param {Array} strokes 笔画列表
+ * @param {Number} maxGap 笔画间最大停顿(ms)
+ * @returns {items,duration}
+ */
+export function createReplayTimeline(strokes, maxGap = 1000) {
+  let cursor = 0
+  let prevEndTime = null
+
+  const items = strokes
+    .filter(stroke => stroke.points.length)
+    .map(stroke => {
+      const { points } = stroke
+      const firstTime = points[0].t != null ? points[0].t : 0
+      const getTime = (point, index) =>
+        point.t != null ? point.t : firstTime + index * DEFAULT_POINT_INTERVAL
+
+      const gap =
+        prevEndTime == null
+          ? 0
+          : Math.min(Math.max(firstTime - prevEndTime, 0), maxGap)
+      const start = cursor + gap
+      const times = points.map(
+        (point, index) => start + Math.max(getTime(point, index) - firstTime, 0)
+      )
+      const end = times[times.length - 1]
+
+      cursor = end
+      prevEndTime = getTime(points[points.length - 1], points.length - 1)
+
+      return { stroke, start, end, times }
+    })
+
+  return { items, duration: cursor }
+}
+
+/**
+ * 获取回放到指定时间时应绘制的笔画，未画完的笔画只保留已绘制的采样点
+ *
+ * @export Array
+ * @param {Object} timeline 回放时间轴
+ * @param {Number} time 时间(ms)
+ * @returns
+ */
+export function getReplayStrokesAt({ items }, time) {
+  const result = []
+
+  for (let i = 0; i < items.length; i++) {
+    const { stroke, start, end, times } = items[i]
+
+    if (start > time) break
+
+    if (end <= time) {
+      result.push(stroke)
+      continue
+    }
+
+    const count = times.filter(t => t <= time).length
+    result.push({ ...stroke, points: stroke.points.slice(0, count) })
+  }
+
+  return result
+}
@@ -0,0 +1,203 @@
+/**
+ * @author GuangHui
+ * @description 选择工具相关函数(命中检测、选择框)
+ */
+
+import { getStrokeBounds } from './stroke'
+
+// 选择框颜色
+export const SELECTION_COLOR = '#1e90ff'
+// 选择框控制点尺寸
+export const HANDLE_SIZE = 8
+// 选择框与笔画之间的间距
+export const SELECTION_PADDING = 4
+
+/**
+ * 点是否在矩形内
+ *
+ * @export Boolean
+ * @param {Object} point 点
+ * @param {Object} rect 矩形{x,y,width,height}
+ * @returns
+ */
+export function isPointInRect({ x, y }, rect) {
+  return (
+    x >= rect.x &&
+    x <= rect.x + rect.width &&
+    y >= rect.y &&
+    y <= rect.y + rect.height
+  )
+}
+
+/**
+ * 点是否在多边形内(射线法)
+ *
+ * @export Boolean
+ * @param {Object} point 点
+ * @param {Array} polygon 多边形顶点
+ * @returns
+ */
+export function isPointInPolygon({ x, y }, polygon) {
+  let isInside = false
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i]
+    const b = polygon[j]
+
+    if (
+      a.y > y !== b.y > y &&
+      x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      isInside = !isInside
+    }
+  }
+
+  return isInside
+}
+
+/**
+ * 点到线段的距离
+ *
+ * @param {Object} point 点
+ * @param {Object} from 线段起点
+ * @param {Object} to 线段终点
+ * @returns
+ */
+function getSegmentDistance(point, from, to) {
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const lengthSquare = dx * dx + dy * dy
+
+  const ratio = lengthSquare
+    ? Math.max(
+        0,
+        Math.min(
+          1,
+          ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquare
+        )
+      )
+    : 0
+
+  return Math.hypot(
+    point.x - from.x - ratio * dx,
+    point.y - from.y - ratio * dy
+  )
+}
+
+/**
+ * 按外接矩形命中检测的笔画(文字、矩形、椭圆)
+ *
+ * @param {Object} stroke 笔画
+ * @returns
+ */
+function isBoxStroke({ tool }) {
+  return tool === 'text' || tool === 'rect' || tool === 'ellipse'
+}
+
+/**
+ * 笔画是否与选区相交，笔画任一特征点在选区内即视为选中
+ *
+ * @export Boolean
+ * @param {Object} stroke 笔画
+ * @param {Object} region 选区{rect}或{polygon}
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文，用于测量文字宽度
+ * @returns
+ */
+export function isStrokeInRegion(stroke, { rect, polygon }, ctx) {
+  let points = stroke.points
+
+  if (isBoxStroke(stroke)) {
+    const { x, y, width, height } = getStrokeBounds(stroke, ctx)
+
+    points = [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height },
+      { x: x + width / 2, y: y + height / 2 }
+    ]
+  } else if (points.length === 2) {
+    // 直线、箭头补充中点
+    const [p1, p2] = points
+    points = [p1, { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 }, p2]
+  }
+
+  return points.some(point =>
+    rect ? isPointInRect(point, rect) : isPointInPolygon(point, polygon)
+  )
+}
+
+/**
+ * 点是否命中笔画
+ *
+ * @export Boolean
+ * @param {Object} stroke 笔画
+ * @param {Object} point 点
+ * @param {Number} tolerance 容差
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文，用于测量文字宽度
+ * @returns
+ */
+export function hitTestStroke(stroke, point, tolerance, ctx) {
+  const { points } = stroke
+
+  if (!points.length) return false
+
+  if (isBoxStroke(stroke)) {
+    const { x, y, width, height } = getStrokeBounds(stroke, ctx)
+
+    return isPointInRect(point, {
+      x: x - tolerance,
+      y: y - tolerance,
+      width: width + tolerance * 2,
+      height: height + tolerance * 2
+    })
+  }
+
+  const maxWidth = Math.max(
+    stroke.width,
+    ...points.map(({ w }) => (w != null ? w : 0))
+  )
+  const range = maxWidth / 2 + tolerance
+
+  if (points.length === 1)
+    return getSegmentDistance(point, points[0], points[0]) <= range
+
+  for (let i = 1; i < points.length; i++) {
+    if (getSegmentDistance(point, points[i - 1], points[i]) <= range)
+      return true
+  }
+
+  return false
+}
+
+/**
+ * 获取选择框四角的控制点
+ *
+ * @export Array
+ * @param {Object} bounds 选择框{x,y,width,height}
+ * @returns [{name,x,y}]
+ */
+export function getSelectionHandles({ x, y, width, height }) {
+  return [
+    { name: 'nw', x, y },
+    { name: 'ne', x: x + width, y },
+    { name: 'se', x: x + width, y: y + height },
+    { name: 'sw', x, y: y + height }
+  ]
+}
+
+/**
+ * 获取点命中的控制点
+ *
+ * @export Object
+ * @param {Object} bounds 选择框
+ * @param {Object} point 点
+ * @returns 控制点，未命中时返回undefined
+ */
+export function getHandleAt(bounds, point) {
+  return getSelectionHandles(bounds).find(
+    handle =>
+      Math.abs(handle.x - point.x) <= HANDLE_SIZE &&
+      Math.abs(handle.y - point.y) <= HANDLE_SIZE
+  )
+}
@@ -0,0 +1,53 @@
+/**
+ * @author GuangHui
+ * @description 绘图数据序列化相关函数
+ */
+
+// 当前数据结构版本
+export const SCHEMA_VERSION = 1
+
+// 版本迁移函数，key为源版本，函数需返回下一版本的数据
+const migrations = {}
+
+/**
+ * 注册版本迁移函数
+ *
+ * @export
+ * @param {Number} fromVersion 源版本
+ * @param {Function} migrate 迁移函数，接收fromVersion版本的数据，返回fromVersion+1版本的数据
+ */
+export function registerMigration(fromVersion, migrate) {
+  if (typeof fromVersion !== 'number' || typeof migrate !== 'function') {
+    throw new Error('迁移函数注册参数不正确')
+  }
+
+  migrations[fromVersion] = migrate
+}
+
+/**
+ * 将数据逐版本迁移至当前版本
+ *
+ * @export Object
+ * @param {Object} data 序列化数据
+ * @returns
+ */
+export function migrate(data) {
+  if (!data || typeof data !== 'object') throw new Error('绘图数据格式不正确')
+
+  let result = data
+  let version = typeof result.version === 'number' ? result.version : 0
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`不支持的绘图数据版本:${version}`)
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const fn = migrations[version]
+    if (!fn) throw new Error(`缺少版本${version}的迁移函数`)
+
+    result = { ...fn(result), version: version + 1 }
+    version = result.version
+  }
+
+  return result
+}
@@ -0,0 +1,151 @@
+/**
+ * @author GuangHui
+ * @description 图形(直线、矩形、椭圆、箭头)绘制相关函数
+ */
+
+// 图形工具枚举
+export const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'arrow']
+
+/**
+ * 是否为图形工具
+ *
+ * @export Boolean
+ * @param {String} tool 工具
+ * @returns
+ */
+export function isShapeTool(tool) {
+  return SHAPE_TOOLS.includes(tool)
+}
+
+/**
+ * 根据起止点获取矩形区域
+ *
+ * @export Object
+ * @param {Array} points 起止点
+ * @returns {x,y,width,height}
+ */
+export function getShapeRect([p1, p2]) {
+  return {
+    x: Math.min(p1.x, p2.x),
+    y: Math.min(p1.y, p2.y),
+    width: Math.abs(p2.x - p1.x),
+    height: Math.abs(p2.y - p1.y)
+  }
+}
+
+/**
+ * 获取图形中心点
+ *
+ * @export Object
+ * @param {Array} points 起止点
+ * @returns {x,y}
+ */
+export function getShapeCenter([p1, p2]) {
+  return {
+    x: (p1.x + p2.x) / 2,
+    y: (p1.y + p2.y) / 2
+  }
+}
+
+/**
+ * 获取箭头头部三角形顶点及箭杆终点
+ *
+ * @export Object
+ * @param {Array} points 起止点
+ * @param {Number} width 线宽
+ * @returns {tip,left,right,base}
+ */
+export function getArrowHead([p1, p2], width) {
+  const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x)
+  const headLength = Math.max(width * 3, 10)
+  const headAngle = Math.PI / 6
+
+  return {
+    tip: p2,
+    left: {
+      x: p2.x - headLength * Math.cos(angle - headAngle),
+      y: p2.y - headLength * Math.sin(angle - headAngle)
+    },
+    right: {
+      x: p2.x - headLength * Math.cos(angle + headAngle),
+      y: p2.y - headLength * Math.sin(angle + headAngle)
+    },
+    // 箭杆止于头部底边，避免圆头线帽超出箭头尖端
+    base: {
+      x: p2.x - headLength * Math.cos(headAngle) * Math.cos(angle),
+      y: p2.y - headLength * Math.cos(headAngle) * Math.sin(angle)
+    }
+  }
+}
+
+/**
+ * 将图形绘制到指定上下文
+ *
+ * @export
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文
+ * @param {Object} stroke 笔画，points为起止点，矩形、椭圆可带rotate绕中心旋转
+ */
+export function drawShape(ctx, stroke) {
+  const { tool, points, color, width, fill, rotate } = stroke
+
+  if (!ctx || points.length < 2) return
+
+  const [p1, p2] = points
+
+  if (rotate && (tool === 'rect' || tool === 'ellipse')) {
+    const { x, y } = getShapeCenter(points)
+    ctx.translate(x, y)
+    ctx.rotate((Math.PI / 180) * rotate)
+    ctx.translate(-x, -y)
+  }
+
+  ctx.strokeStyle = color
+  ctx.fillStyle = fill || color
+  ctx.lineWidth = width
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+
+  ctx.beginPath()
+
+  if (tool === 'line') {
+    ctx.moveTo(p1.x, p1.y)
+    ctx.lineTo(p2.x, p2.y)
+    ctx.stroke()
+  } else if (tool === 'rect') {
+    const { x, y, width: w, height: h } = getShapeRect(points)
+    ctx.rect(x, y, w, h)
+    fill && ctx.fill()
+    ctx.stroke()
+  } else if (tool === 'ellipse') {
+    const { x, y, width: w, height: h } = getShapeRect(points)
+    const cx = x + w / 2
+    const cy = y + h / 2
+
+    if (ctx.ellipse) {
+      ctx.ellipse(cx, cy, w / 2, h / 2, 0, 0, Math.PI * 2)
+    } else {
+      // 不支持ellipse时，通过缩放圆形模拟
+      ctx.save()
+      ctx.translate(cx, cy)
+      ctx.scale(w / 2 || 1, h / 2 || 1)
+      ctx.arc(0, 0, 1, 0, Math.PI * 2, false)
+      ctx.restore()
+    }
+    fill && ctx.fill()
+    ctx.stroke()
+  } else if (tool === 'arrow') {
+    const { tip, left, right, base } = getArrowHead(points, width)
+
+    ctx.moveTo(p1.x, p1.y)
+    ctx.lineTo(base.x, base.y)
+    ctx.stroke()
+
+    ctx.fillStyle = color
+    ctx.beginPath()
+    ctx.moveTo(tip.x, tip.y)
+    ctx.lineTo(left.x, left.y)
+    ctx.lineTo(right.x, right.y)
+    ctx.closePath()
+    ctx.fill()
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * @author GuangHui
+ * @description 自动保存的存储相关函数
+ */
+
+// 自动保存的key前缀，用于区分其他数据及清理过期数据
+export const AUTOSAVE_KEY_PREFIX = 'drawing-board:autosave:'
+
+/**
+ * 执行同步或异步函数，结果统一包装为Promise，同步抛出的错误转为reject
+ *
+ * @param {Function} fn 函数
+ * @returns {Promise}
+ */
+function run(fn) {
+  return new Promise(resolve => resolve(fn()))
+}
+
+/**
+ * 创建基于localStorage的存储，不可用(如隐私模式)时返回null
+ *
+ * @export Object
+ * @returns {getItem,setItem,removeItem,keys}，均返回Promise
+ */
+export function createLocalStorage() {
+  let storage
+
+  try {
+    storage = typeof localStorage !== 'undefined' ? localStorage : null
+  } catch (err) {
+    storage = null
+  }
+
+  if (!storage) return null
+
+  // 同步接口包装为Promise，与IndexedDB保持一致
+  return {
+    getItem: key => run(() => storage.getItem(key)),
+    setItem: (key, value) => run(() => storage.setItem(key, value)),
+    removeItem: key => run(() => storage.removeItem(key)),
+    keys: () =>
+      run(() => {
+        const result = []
+        for (let i = 0; i < storage.length; i++) result.push(storage.key(i))
+        return result
+      })
+  }
+}
+
+/**
+ * 创建基于IndexedDB的存储，不可用时返回null
+ *
+ * @export Object
+ * @param {String} dbName 数据库名
+ * @param {String} storeName 表名
+ * @returns {getItem,setItem,removeItem,keys}，均返回Promise
+ */
+export function createIndexedDBStorage(
+  dbName = 'drawing-board',
+  storeName = 'autosave'
+) {
+  if (typeof indexedDB === 'undefined' || !indexedDB) return null
+
+  let dbPromise = null
+
+  const open = () => {
+    if (dbPromise) return dbPromise
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1)
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(storeName)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // 打开失败时允许下次重试
+    dbPromise.catch(() => (dbPromise = null))
+
+    return dbPromise
+  }
+
+  const run = (mode, fn) =>
+    open().then(
+      db =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(storeName, mode)
+          const request = fn(transaction.objectStore(storeName))
+
+          transaction.oncomplete = () => resolve(request.result)
+          transaction.onerror = () => reject(transaction.error)
+          transaction.onabort = () => reject(transaction.error)
+        })
+    )
+
+  return {
+    getItem: key =>
+      run('readonly', store => store.get(key)).then(value =>
+        value === undefined ? null : value
+      ),
+    setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+    removeItem: key => run('readwrite', store => store.delete(key)),
+    keys: () => run('readonly', store => store.getAllKeys())
+  }
+}
+
+/**
+ * 获取自动保存使用的存储，IndexedDB不可用时退化为localStorage
+ *
+ * @export Object
+ * @param {String|Object} storage 存储 enum:['indexedDB','localStorage']或自定义存储{getItem,setItem,removeItem,keys?}
+ * @returns 存储，均不可用时返回null
+ */
+export function resolveStorage(storage) {
+  // 自定义存储的方法可为同步或异步，统一包装为Promise
+  if (storage && typeof storage === 'object') {
+    return {
+      getItem: key => run(() => storage.getItem(key)),
+      setItem: (key, value) => run(() => storage.setItem(key, value)),
+      removeItem: key => run(() => storage.removeItem(key)),
+      keys:
+        typeof storage.keys === 'function'
+          ? () => run(() => storage.keys())
+          : undefined
+    }
+  }
+
+  if (storage === 'indexedDB') {
+    return createIndexedDBStorage() || createLocalStorage()
+  }
+
+  return createLocalStorage()
+}
+
+/**
+ * 是否为存储空间不足的错误
+ *
+ * @export Boolean
+ * @param {Error} err 错误
+ * @returns
+ */
+export function isQuotaError(err) {
+  return (
+    !!err &&
+    (err.name === 'QuotaExceededError' ||
+      err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      err.code === 22 ||
+      err.code === 1014)
+  )
+}
+
+/**
+ * 读取自动保存的记录，过期或格式不正确时删除并返回null
+ *
+ * @export Promise
+ * @param {Object} storage 存储
+ * @param {String} key 完整的key
+ * @param {Number} expires 有效期(ms)
+ * @returns {savedAt,data}
+ */
+export function readEntry(storage, key, expires) {
+  return storage.getItem(key).then(value => {
+    if (value == null) return null
+
+    let entry
+    try {
+      entry = typeof value === 'string' ? JSON.parse(value) : value
+    } catch (err) {
+      entry = null
+    }
+
+    if (
+      !entry ||
+      !entry.data ||
+      typeof entry.savedAt !== 'number' ||
+      Date.now() - entry.savedAt > expires
+    ) {
+      return storage.removeItem(key).then(() => null)
+    }
+
+    return entry
+  })
+}
+
+/**
+ * 删除过期的自动保存记录
+ *
+ * @export Promise
+ * @param {Object} storage 存储
+ * @param {Number} expires 有效期(ms)
+ * @param {String} exceptKey 需保留的key
+ * @param {Boolean} isForced 是否忽略有效期，删除全部记录(存储空间不足时)
+ */
+export function purgeEntries(storage, expires, exceptKey, isForced = false) {
+  if (typeof storage.keys !== 'function') return Promise.resolve()
+
+  return storage.keys().then(keys =>
+    Promise.all(
+      // 自定义存储的keys可能返回迭代器
+      Array.from(keys)
+        .filter(
+          key =>
+            typeof key === 'string' &&
+            key.indexOf(AUTOSAVE_KEY_PREFIX) === 0 &&
+            key !== exceptKey
+        )
+        .map(key =>
+          isForced ? storage.removeItem(key) : readEntry(storage, key, expires)
+        )
+    )
+  )
+}
+
+/**
+ * 去掉各页内嵌(base64)的背景图
+ *
+ * @param {Object} data 绘图数据{pageIndex,pages:[toJSON]}
+ * @returns 新的绘图数据，没有内嵌背景图时返回null
+ */
+function omitEmbeddedBg(data) {
+  const isEmbedded = ({ background }) =>
+    !!background && /^data:/.test(background.url)
+
+  if (!data.pages.some(isEmbedded)) return null
+
+  return {
+    ...data,
+    pages: data.pages.map(page =>
+      isEmbedded(page)
+        ? {
+            ...page,
+            background: { ...page.background, url: '', originalSize: [] }
+          }
+        : page
+    )
+  }
+}
+
+/**
+ * 写入自动保存的记录，存储空间不足时依次尝试：
+ * 清理其他自动保存记录后重试、去掉内嵌(base64)背景图后重试
+ *
+ * @export Promise
+ * @param {Object} storage 存储
+ * @param {String} key 完整的key
+ * @param {Object} data 绘图数据{pageIndex,pages:[toJSON]}
+ * @param {Number} expires 有效期(ms)
+ * @returns {savedAt,data,isBgOmitted}
+ */
+export function writeEntry(storage, key, data, expires) {
+  const save = entry =>
+    storage.setItem(key, JSON.stringify(entry)).then(() => entry)
+  const entry = { savedAt: Date.now(), data }
+
+  return save(entry)
+    .catch(err => {
+      if (!isQuotaError(err)) throw err
+
+      return purgeEntries(storage, expires, key, true).then(() => save(entry))
+    })
+    .catch(err => {
+      const omitted = isQuotaError(err) && omitEmbeddedBg(data)
+
+      if (!omitted) throw err
+
+      // 笔画优先，内嵌背景图体积较大，放弃保存
+      return save({ ...entry, data: omitted, isBgOmitted: true })
+    })
+}
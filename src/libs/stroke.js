@@ -0,0 +1,525 @@
+/**
+ * @author GuangHui
+ * @description 笔画数据模型及渲染
+ */
+
+import {
+  isShapeTool,
+  getShapeRect,
+  getShapeCenter,
+  getArrowHead,
+  drawShape
+} from './shape'
+import { getTextSize, drawText } from './text'
+import { getTool } from './tool'
+
+let strokeSeed = 0
+
+// 压感对应的粗细倍率范围，压力0.5时为原始粗细
+const PRESSURE_MIN_RATIO = 0.2
+const PRESSURE_MAX_RATIO = 1.8
+// 笔身完全倾斜时粗细的最大增加倍率
+const TILT_MAX_RATIO = 0.5
+
+/**
+ * 生成笔画id
+ *
+ * @export String
+ * @returns
+ */
+export function createStrokeId() {
+  strokeSeed++
+  return `${Date.now().toString(36)}-${strokeSeed.toString(36)}`
+}
+
+/**
+ * 创建笔画
+ *
+ * @export Object
+ * @param {String} tool 工具
+ * @param {String} color 颜色
+ * @param {Number} width 粗细
+ * @returns
+ */
+export function createStroke({ tool = 'pen', color, width }) {
+  return {
+    id: createStrokeId(),
+    tool,
+    color,
+    width,
+    points: []
+  }
+}
+
+/**
+ * 向笔画追加采样点
+ *
+ * @export Object
+ * @param {Object} stroke 笔画
+ * @param {Object} point 采样点{x,y,t}
+ * @returns
+ */
+export function addStrokePoint(stroke, point) {
+  stroke.points.push(point)
+  return stroke
+}
+
+/**
+ * 深拷贝笔画
+ *
+ * @export Object
+ * @param {Object} stroke 笔画
+ * @returns
+ */
+export function cloneStroke(stroke) {
+  return {
+    ...stroke,
+    points: stroke.points.map(point => ({ ...point }))
+  }
+}
+
+/**
+ * 绕画布中心旋转笔画，旋转后按新画布尺寸重新居中
+ *
+ * @export Object
+ * @param {Object} stroke 笔画
+ * @param {Number} angle 角度，顺时针为正
+ * @param {Array} oldSize 旋转前画布尺寸[width,height]
+ * @param {Array} newSize 旋转后画布尺寸[width,height]
+ * @returns 新笔画，id不变
+ */
+export function rotateStroke(stroke, angle, [ow, oh], [nw, nh]) {
+  const rad = (Math.PI / 180) * angle
+  // 消除90度整数倍时的浮点误差
+  const cos = Math.round(Math.cos(rad) * 1e10) / 1e10
+  const sin = Math.round(Math.sin(rad) * 1e10) / 1e10
+
+  const rotatePoint = point => {
+    const dx = point.x - ow / 2
+    const dy = point.y - oh / 2
+
+    return {
+      ...point,
+      x: dx * cos - dy * sin + nw / 2,
+      y: dx * sin + dy * cos + nh / 2
+    }
+  }
+  const getRotate = () => ((((stroke.rotate || 0) + angle) % 360) + 360) % 360
+
+  const { tool, points } = stroke
+
+  // 矩形、椭圆由起止点确定，非90度整数倍时只旋转中心点，并记录旋转角度
+  if ((tool === 'rect' || tool === 'ellipse') && angle % 90 !== 0) {
+    const [p1, p2] = points
+    const center = rotatePoint(getShapeCenter(points))
+    const halfWidth = (p2.x - p1.x) / 2
+    const halfHeight = (p2.y - p1.y) / 2
+
+    return {
+      ...stroke,
+      points: [
+        { ...p1, x: center.x - halfWidth, y: center.y - halfHeight },
+        { ...p2, x: center.x + halfWidth, y: center.y + halfHeight }
+      ],
+      rotate: getRotate()
+    }
+  }
+
+  const result = { ...stroke, points: points.map(rotatePoint) }
+
+  // 文字需同步旋转方向
+  if (tool === 'text') result.rotate = getRotate()
+
+  return result
+}
+
+/**
+ * 将点绕中心点旋转
+ *
+ * @param {Object} point 点
+ * @param {Object} center 中心点
+ * @param {Number} angle 角度，顺时针为正
+ * @returns
+ */
+function rotateAround(point, center, angle) {
+  if (!angle) return point
+
+  const rad = (Math.PI / 180) * angle
+  const dx = point.x - center.x
+  const dy = point.y - center.y
+
+  return {
+    x: dx * Math.cos(rad) - dy * Math.sin(rad) + center.x,
+    y: dx * Math.sin(rad) + dy * Math.cos(rad) + center.y
+  }
+}
+
+/**
+ * 获取笔画的外接矩形，包含线宽
+ *
+ * @export Object
+ * @param {Object} stroke 笔画
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文，用于测量文字宽度，不传时按字号估算
+ * @returns {x,y,width,height}，无采样点时返回null
+ */
+export function getStrokeBounds(stroke, ctx) {
+  const { tool, points, width, rotate = 0 } = stroke
+
+  if (!points.length) return null
+
+  // 外接矩形需包含的点，r为该点需向外扩展的距离
+  let outline
+
+  if (tool === 'text') {
+    const { x, y } = points[0]
+    const size = getTextSize(stroke, ctx)
+
+    outline = [
+      { x, y },
+      { x: x + size.width, y },
+      { x: x + size.width, y: y + size.height },
+      { x, y: y + size.height }
+    ].map(point => ({ ...rotateAround(point, points[0], rotate), r: 0 }))
+  } else if (isShapeTool(tool) && points.length > 1) {
+    const r = width / 2
+
+    if (tool === 'rect' || tool === 'ellipse') {
+      const { x, y, width: w, height: h } = getShapeRect(points)
+      const center = getShapeCenter(points)
+
+      outline = [
+        { x, y },
+        { x: x + w, y },
+        { x: x + w, y: y + h },
+        { x, y: y + h }
+      ].map(point => ({ ...rotateAround(point, center, rotate), r }))
+    } else if (tool === 'arrow') {
+      const { left, right } = getArrowHead(points, width)
+
+      outline = [...points, left, right].map(({ x, y }) => ({ x, y, r }))
+    } else {
+      outline = points.map(({ x, y }) => ({ x, y, r }))
+    }
+  } else {
+    outline = points.map(point => ({
+      x: point.x,
+      y: point.y,
+      r: getPointWidth(stroke, point) / 2
+    }))
+  }
+
+  const left = Math.min(...outline.map(({ x, r }) => x - r))
+  const top = Math.min(...outline.map(({ y, r }) => y - r))
+  const right = Math.max(...outline.map(({ x, r }) => x + r))
+  const bottom = Math.max(...outline.map(({ y, r }) => y + r))
+
+  return { x: left, y: top, width: right - left, height: bottom - top }
+}
+
+/**
+ * 获取笔画列表的外接矩形，橡皮擦不计入
+ *
+ * @export Object
+ * @param {Array} strokes 笔画列表
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文，用于测量文字宽度
+ * @returns {x,y,width,height}，无笔迹时返回null
+ */
+export function getStrokesBounds(strokes, ctx) {
+  const boundsList = strokes
+    .filter(stroke => stroke.tool !== 'eraser')
+    .map(stroke => getStrokeBounds(stroke, ctx))
+    .filter(Boolean)
+
+  if (!boundsList.length) return null
+
+  const left = Math.min(...boundsList.map(({ x }) => x))
+  const top = Math.min(...boundsList.map(({ y }) => y))
+  const right = Math.max(...boundsList.map(({ x, width }) => x + width))
+  const bottom = Math.max(...boundsList.map(({ y, height }) => y + height))
+
+  return { x: left, y: top, width: right - left, height: bottom - top }
+}
+
+/**
+ * 平移笔画
+ *
+ * @export Object
+ * @param {Object} stroke 笔画
+ * @param {Number} dx 水平偏移
+ * @param {Number} dy 垂直偏移
+ * @returns 新笔画，id不变
+ */
+export function moveStroke(stroke, dx, dy) {
+  return {
+    ...stroke,
+    points: stroke.points.map(point => ({
+      ...point,
+      x: point.x + dx,
+      y: point.y + dy
+    }))
+  }
+}
+
+/**
+ * 以指定点为原点缩放笔画，线宽不变，文字按面积比例缩放字号
+ *
+ * @export Object
+ * @param {Object} stroke 笔画
+ * @param {Object} origin 缩放原点
+ * @param {Number} scaleX 水平缩放比例
+ * @param {Number} scaleY 垂直缩放比例
+ * @returns 新笔画，id不变
+ */
+export function scaleStroke(stroke, origin, scaleX, scaleY) {
+  const result = {
+    ...stroke,
+    points: stroke.points.map(point => ({
+      ...point,
+      x: origin.x + (point.x - origin.x) * scaleX,
+      y: origin.y + (point.y - origin.y) * scaleY
+    }))
+  }
+
+  if (stroke.tool === 'text') {
+    result.fontSize = Math.max(
+      Math.round(stroke.fontSize * Math.sqrt(Math.abs(scaleX * scaleY))),
+      1
+    )
+  }
+
+  return result
+}
+
+/**
+ * 根据压感、倾斜角度计算采样点粗细
+ *
+ * @export Number
+ * @param {Number} width 基础粗细
+ * @param {Object} point 采样点{pressure,tiltX,tiltY}
+ * @param {String} pointerType 指针类型(mouse、pen、touch)
+ * @returns
+ */
+export function getPressureWidth(
+  width,
+  { pressure, tiltX = 0, tiltY = 0 },
+  pointerType
+) {
+  // 鼠标没有压感(按下时恒为0.5)，部分设备触摸时压力恒为0
+  if (pointerType === 'mouse' || !pressure) return width
+
+  const pressureRatio =
+    PRESSURE_MIN_RATIO + (PRESSURE_MAX_RATIO - PRESSURE_MIN_RATIO) * pressure
+
+  // 笔身越倾斜，笔触越宽
+  const tilt = Math.min(Math.sqrt(tiltX * tiltX + tiltY * tiltY), 90) / 90
+
+  return width * pressureRatio * (1 + tilt * TILT_MAX_RATIO)
+}
+
+/**
+ * 获取采样点粗细，未单独记录时使用笔画粗细
+ *
+ * @export Number
+ * @param {Object} stroke 笔画
+ * @param {Object} point 采样点
+ * @returns
+ */
+export function getPointWidth(stroke, point) {
+  return point && point.w != null ? point.w : stroke.width
+}
+
+/**
+ * 根据书写速度计算粗细，速度越快越细
+ *
+ * @export Number
+ * @param {Number} velocity 速度(px/ms)
+ * @param {Number} minWidth 最小粗细
+ * @param {Number} maxWidth 最大粗细
+ * @returns
+ */
+export function getVelocityWidth(velocity, minWidth, maxWidth) {
+  return Math.max(maxWidth / (velocity + 1), minWidth)
+}
+
+/**
+ * 计算两点距离
+ *
+ * @export Number
+ * @param {Object} p1 点{x,y}
+ * @param {Object} p2 点{x,y}
+ * @returns
+ */
+export function getDistance(p1, p2) {
+  return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2))
+}
+
+/**
+ * 计算两点中点，粗细取两点平均值
+ *
+ * @param {Object} stroke 笔画
+ * @param {Object} p1 点
+ * @param {Object} p2 点
+ * @returns
+ */
+function getMidPoint(stroke, p1, p2) {
+  return {
+    x: (p1.x + p2.x) / 2,
+    y: (p1.y + p2.y) / 2,
+    w: (getPointWidth(stroke, p1) + getPointWidth(stroke, p2)) / 2
+  }
+}
+
+/**
+ * 获取平滑笔画的第index段(1 ~ points.length-1)
+ * 中间各段以采样点为控制点，连接相邻采样点的中点；最后一段以直线连接到终点
+ *
+ * @export Object
+ * @param {Object} stroke 笔画
+ * @param {Number} index 段序号
+ * @returns {from,cp,to,width}
+ */
+export function getSmoothSegment(stroke, index) {
+  const { points } = stroke
+  const last = points.length - 1
+
+  const from =
+    index === 1
+      ? points[0]
+      : getMidPoint(stroke, points[index - 1], points[index])
+
+  if (index >= last) {
+    const to = points[last]
+    return {
+      from,
+      to,
+      width: (getPointWidth(stroke, from) + getPointWidth(stroke, to)) / 2
+    }
+  }
+
+  return {
+    from,
+    cp: points[index],
+    to: getMidPoint(stroke, points[index], points[index + 1]),
+    width: getPointWidth(stroke, points[index])
+  }
+}
+
+/**
+ * 获取笔画对应的合成模式，橡皮擦使用destination-out擦除已有像素
+ *
+ * @export String
+ * @param {String} tool 工具
+ * @returns
+ */
+export function getStrokeCompositeOperation(tool) {
+  return tool === 'eraser' ? 'destination-out' : 'source-over'
+}
+
+/**
+ * 绘制平滑笔画，粗细可变时逐段绘制
+ *
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文
+ * @param {Object} stroke 笔画
+ */
+function drawSmoothStroke(ctx, stroke) {
+  const { points } = stroke
+  const isVariableWidth = points.some(point => point.w != null)
+
+  for (let i = 1; i < points.length; i++) {
+    const { from, cp, to, width } = getSmoothSegment(stroke, i)
+
+    if (isVariableWidth || i === 1) {
+      if (isVariableWidth) ctx.lineWidth = width
+      ctx.beginPath()
+      ctx.moveTo(from.x, from.y)
+    }
+
+    cp ? ctx.quadraticCurveTo(cp.x, cp.y, to.x, to.y) : ctx.lineTo(to.x, to.y)
+
+    if (isVariableWidth || i === points.length - 1) ctx.stroke()
+  }
+}
+
+/**
+ * 将笔画绘制到指定上下文
+ *
+ * @export
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文
+ * @param {Object} stroke 笔画
+ */
+export function drawStroke(ctx, stroke) {
+  if (!ctx || !stroke || !stroke.points.length) return
+
+  const { points, color, width } = stroke
+
+  ctx.save()
+
+  ctx.globalCompositeOperation = getStrokeCompositeOperation(stroke.tool)
+
+  // 自定义工具的笔画由其render绘制
+  const tool = getTool(stroke.tool)
+  if (tool && tool.render) {
+    tool.render(ctx, stroke)
+    ctx.restore()
+    return
+  }
+
+  if (isShapeTool(stroke.tool)) {
+    drawShape(ctx, stroke)
+    ctx.restore()
+    return
+  }
+
+  if (stroke.tool === 'text') {
+    drawText(ctx, stroke)
+    ctx.restore()
+    return
+  }
+
+  // 单点绘制为圆点
+  if (points.length === 1) {
+    ctx.fillStyle = color
+    ctx.beginPath()
+    ctx.arc(
+      points[0].x,
+      points[0].y,
+      getPointWidth(stroke, points[0]) / 2,
+      0,
+      Math.PI * 2,
+      false
+    )
+    ctx.fill()
+    ctx.restore()
+    return
+  }
+
+  ctx.strokeStyle = color
+  ctx.lineWidth = width
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+
+  if (stroke.smoothing) {
+    drawSmoothStroke(ctx, stroke)
+  } else if (points.some(point => point.w != null)) {
+    // 粗细可变时逐段绘制，每段取两端点粗细的平均值
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineWidth =
+        (getPointWidth(stroke, points[i - 1]) +
+          getPointWidth(stroke, points[i])) /
+        2
+      ctx.beginPath()
+      ctx.moveTo(points[i - 1].x, points[i - 1].y)
+      ctx.lineTo(points[i].x, points[i].y)
+      ctx.stroke()
+    }
+  } else {
+    ctx.beginPath()
+    ctx.moveTo(points[0].x, points[0].y)
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y)
+    }
+    ctx.stroke()
+  }
+
+  ctx.restore()
+}
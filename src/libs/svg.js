@@ -0,0 +1,330 @@
+/**
+ * @author GuangHui
+ * @description 生成SVG相关函数
+ */
+
+import { getPointWidth, getSmoothSegment } from './stroke'
+import {
+  isShapeTool,
+  getShapeRect,
+  getShapeCenter,
+  getArrowHead
+} from './shape'
+import { getTextLines, getTextLineTop } from './text'
+import { getTool } from './tool'
+
+let maskSeed = 0
+
+/**
+ * 数值保留两位小数，减小输出体积
+ *
+ * @param {Number} n 数值
+ * @returns
+ */
+function num(n) {
+  return Math.round(n * 100) / 100
+}
+
+/**
+ * 转义属性值
+ *
+ * @export String
+ * @param {String} value 属性值
+ * @returns
+ */
+export function escapeAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * 生成线段path元素
+ *
+ * @param {String} d 路径
+ * @param {String} color 颜色
+ * @param {Number} width 粗细
+ * @returns
+ */
+function linePath(d, color, width) {
+  return `<path d="${d}" fill="none" stroke="${escapeAttr(
+    color
+  )}" stroke-width="${num(
+    width
+  )}" stroke-linecap="round" stroke-linejoin="round"/>`
+}
+
+/**
+ * 生成平滑笔画某一段的路径
+ *
+ * @param {Object} segment 曲线段{from,cp,to}
+ * @returns
+ */
+function segmentPath({ from, cp, to }) {
+  return cp
+    ? `M${num(from.x)} ${num(from.y)}Q${num(cp.x)} ${num(cp.y)} ${num(
+        to.x
+      )} ${num(to.y)}`
+    : `M${num(from.x)} ${num(from.y)}L${num(to.x)} ${num(to.y)}`
+}
+
+/**
+ * 图形转换为SVG元素
+ *
+ * @param {Object} stroke 笔画，points为起止点
+ * @returns
+ */
+function shapeToSVG(stroke) {
+  const { tool, points, width } = stroke
+
+  if (points.length < 2) return ''
+
+  const [p1, p2] = points
+  const color = escapeAttr(stroke.color)
+  const { x: cx, y: cy } = getShapeCenter(points)
+  // 矩形、椭圆绕中心旋转
+  const transform = stroke.rotate
+    ? ` transform="rotate(${num(stroke.rotate)} ${num(cx)} ${num(cy)})"`
+    : ''
+  const fill = stroke.fill ? escapeAttr(stroke.fill) : 'none'
+  const lineAttrs = `stroke="${color}" stroke-width="${num(
+    width
+  )}" stroke-linecap="round" stroke-linejoin="round"`
+
+  if (tool === 'line') {
+    return `<line x1="${num(p1.x)}" y1="${num(p1.y)}" x2="${num(
+      p2.x
+    )}" y2="${num(p2.y)}" ${lineAttrs}/>`
+  } else if (tool === 'rect') {
+    const { x, y, width: w, height: h } = getShapeRect(points)
+    return `<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(
+      h
+    )}" fill="${fill}" ${lineAttrs}${transform}/>`
+  } else if (tool === 'ellipse') {
+    const { x, y, width: w, height: h } = getShapeRect(points)
+    return `<ellipse cx="${num(x + w / 2)}" cy="${num(y + h / 2)}" rx="${num(
+      w / 2
+    )}" ry="${num(h / 2)}" fill="${fill}" ${lineAttrs}${transform}/>`
+  } else if (tool === 'arrow') {
+    const { tip, left, right, base } = getArrowHead(points, width)
+    return `<line x1="${num(p1.x)}" y1="${num(p1.y)}" x2="${num(
+      base.x
+    )}" y2="${num(base.y)}" ${lineAttrs}/><polygon points="${[tip, left, right]
+      .map(({ x, y }) => `${num(x)},${num(y)}`)
+      .join(' ')}" fill="${color}"/>`
+  }
+
+  return ''
+}
+
+/**
+ * 转义文本内容
+ *
+ * @param {String} value 文本
+ * @returns
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * 文字转换为SVG元素
+ *
+ * @param {Object} stroke 文字笔画
+ * @returns
+ */
+function textToSVG(stroke) {
+  const { points, color, rotate = 0, fontSize, fontFamily } = stroke
+  const { x, y } = points[0]
+
+  const lines = getTextLines(stroke)
+    .map(
+      (line, index) =>
+        `<text x="0" y="${num(
+          getTextLineTop(stroke, index)
+        )}" dominant-baseline="text-before-edge" xml:space="preserve">${escapeText(
+          line
+        )}</text>`
+    )
+    .join('')
+
+  return `<g transform="translate(${num(x)} ${num(y)}) rotate(${num(
+    rotate
+  )})" fill="${escapeAttr(color)}" font-size="${num(
+    fontSize
+  )}" font-family="${escapeAttr(fontFamily)}">${lines}</g>`
+}
+
+/**
+ * 笔画转换为SVG元素
+ * 自定义工具的笔画由其toSVG转换；只提供render而未提供toSVG时无法得知其图形，跳过该笔画
+ *
+ * @export String
+ * @param {Object} stroke 笔画
+ * @param {String} color 颜色，默认使用笔画颜色
+ * @returns
+ */
+export function strokeToSVG(stroke, color = stroke.color) {
+  const { points } = stroke
+
+  if (!points.length) return ''
+
+  const tool = getTool(stroke.tool)
+  if (tool && tool.toSVG) return tool.toSVG(stroke) || ''
+  if (tool && tool.render) return ''
+
+  if (isShapeTool(stroke.tool)) return shapeToSVG(stroke)
+
+  if (stroke.tool === 'text') return textToSVG(stroke)
+
+  if (points.length === 1) {
+    return `<circle cx="${num(points[0].x)}" cy="${num(points[0].y)}" r="${num(
+      getPointWidth(stroke, points[0]) / 2
+    )}" fill="${escapeAttr(color)}"/>`
+  }
+
+  const isVariableWidth = points.some(point => point.w != null)
+
+  // 粗细可变时逐段输出
+  if (isVariableWidth) {
+    let result = ''
+    for (let i = 1; i < points.length; i++) {
+      if (stroke.smoothing) {
+        const segment = getSmoothSegment(stroke, i)
+        result += linePath(segmentPath(segment), color, segment.width)
+      } else {
+        const from = points[i - 1]
+        const to = points[i]
+        result += linePath(
+          segmentPath({ from, to }),
+          color,
+          (getPointWidth(stroke, from) + getPointWidth(stroke, to)) / 2
+        )
+      }
+    }
+    return result
+  }
+
+  let d = `M${num(points[0].x)} ${num(points[0].y)}`
+  for (let i = 1; i < points.length; i++) {
+    if (stroke.smoothing) {
+      const { cp, to } = getSmoothSegment(stroke, i)
+      d += cp
+        ? `Q${num(cp.x)} ${num(cp.y)} ${num(to.x)} ${num(to.y)}`
+        : `L${num(to.x)} ${num(to.y)}`
+    } else {
+      d += `L${num(points[i].x)} ${num(points[i].y)}`
+    }
+  }
+
+  return linePath(d, color, stroke.width)
+}
+
+/**
+ * 笔画列表转换为SVG内容
+ * 橡皮擦转换为遮罩，只作用于其之前绘制的笔画
+ *
+ * @export String
+ * @param {Array} strokes 笔画列表
+ * @param {Number} width 宽
+ * @param {Number} height 高
+ * @returns
+ */
+export function strokesToSVG(strokes, width, height) {
+  let defs = ''
+  let content = ''
+
+  strokes.forEach(stroke => {
+    if (stroke.tool !== 'eraser') {
+      content += strokeToSVG(stroke)
+      return
+    }
+
+    maskSeed++
+    const id = `drawing-board-eraser-${maskSeed}`
+
+    defs += `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}"><rect x="0" y="0" width="${width}" height="${height}" fill="#fff"/>${strokeToSVG(
+      stroke,
+      '#000'
+    )}</mask>`
+    content = `<g mask="url(#${id})">${content}</g>`
+  })
+
+  return (defs ? `<defs>${defs}</defs>` : '') + content
+}
+
+/**
+ * 生成完整的SVG文档
+ *
+ * @export String
+ * @param {Number} width 宽
+ * @param {Number} height 高
+ * @param {String} bgColor 背景色
+ * @param {Object} bgImage 背景图{href,x,y,width,height,transform,clip}，clip为裁剪区域{x,y,width,height}
+ * @param {Array} strokes 笔画列表
+ * @param {Object} viewBox 输出区域{x,y,width,height}，默认整个画布
+ * @param {Array} outputSize 输出尺寸[width,height]，默认与输出区域一致
+ * @returns
+ */
+export function createSVG({
+  width,
+  height,
+  bgColor,
+  bgImage,
+  strokes,
+  viewBox = { x: 0, y: 0, width, height },
+  outputSize = [viewBox.width, viewBox.height]
+}) {
+  let background = ''
+
+  if (bgColor) {
+    background += `<rect x="0" y="0" width="${width}" height="${height}" fill="${escapeAttr(
+      bgColor
+    )}"/>`
+  }
+
+  if (bgImage && bgImage.href) {
+    // 有裁剪区域时使用嵌套svg裁剪，图片坐标相对裁剪区域
+    const { clip } = bgImage
+    const offsetX = clip ? clip.x : 0
+    const offsetY = clip ? clip.y : 0
+
+    const image = `<image x="${num(bgImage.x - offsetX)}" y="${num(
+      bgImage.y - offsetY
+    )}" width="${num(bgImage.width)}" height="${num(
+      bgImage.height
+    )}" preserveAspectRatio="none" href="${escapeAttr(
+      bgImage.href
+    )}" xlink:href="${escapeAttr(bgImage.href)}"/>`
+
+    background += `<g transform="${bgImage.transform}">${
+      clip
+        ? `<svg x="${num(clip.x)}" y="${num(clip.y)}" width="${num(
+            clip.width
+          )}" height="${num(clip.height)}" overflow="hidden">${image}</svg>`
+        : image
+    }</g>`
+  }
+
+  const [outputWidth, outputHeight] = outputSize
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${num(
+    outputWidth
+  )}" height="${num(outputHeight)}" viewBox="${[
+    viewBox.x,
+    viewBox.y,
+    viewBox.width,
+    viewBox.height
+  ]
+    .map(num)
+    .join(' ')}" preserveAspectRatio="none">${background}${strokesToSVG(
+    strokes,
+    width,
+    height
+  )}</svg>`
+}
@@ -0,0 +1,98 @@
+/**
+ * @author GuangHui
+ * @description 文字标注绘制相关函数
+ */
+
+// 行高(相对字号)，需与编辑框的line-height保持一致
+export const TEXT_LINE_HEIGHT = 1.2
+
+/**
+ * 获取文字笔画对应的font
+ *
+ * @export String
+ * @param {Object} stroke 文字笔画
+ * @returns
+ */
+export function getTextFont({ fontSize, fontFamily }) {
+  return `${fontSize}px ${fontFamily}`
+}
+
+/**
+ * 获取文字笔画的各行文本
+ *
+ * @export Array
+ * @param {Object} stroke 文字笔画
+ * @returns
+ */
+export function getTextLines({ text }) {
+  return String(text).split(/\r?\n/)
+}
+
+/**
+ * 获取第index行文字顶部相对起点的偏移
+ * 行内文字上下各留出(行高-1)/2的间距，与编辑框排版一致
+ *
+ * @export Number
+ * @param {Object} stroke 文字笔画
+ * @param {Number} index 行号
+ * @returns
+ */
+export function getTextLineTop({ fontSize }, index) {
+  return (
+    fontSize * TEXT_LINE_HEIGHT * index +
+    (fontSize * (TEXT_LINE_HEIGHT - 1)) / 2
+  )
+}
+
+/**
+ * 获取文字笔画的尺寸(未旋转)
+ * 传入绘图上下文时测量实际宽度，否则按字号估算
+ *
+ * @export Object
+ * @param {Object} stroke 文字笔画
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文
+ * @returns {width,height}
+ */
+export function getTextSize(stroke, ctx) {
+  const { fontSize } = stroke
+  const lines = getTextLines(stroke)
+
+  let widths
+  if (ctx && ctx.measureText) {
+    ctx.save()
+    ctx.font = getTextFont(stroke)
+    widths = lines.map(line => ctx.measureText(line).width)
+    ctx.restore()
+  } else {
+    widths = lines.map(line => line.length * fontSize)
+  }
+
+  return {
+    width: Math.max(...widths),
+    height: fontSize * TEXT_LINE_HEIGHT * lines.length
+  }
+}
+
+/**
+ * 将文字笔画绘制到指定上下文，以起点为原点按rotate旋转
+ *
+ * @export
+ * @param {CanvasRenderingContext2D} ctx 绘图上下文
+ * @param {Object} stroke 文字笔画
+ */
+export function drawText(ctx, stroke) {
+  const { points, color, rotate = 0 } = stroke
+
+  if (!ctx || !points.length) return
+
+  ctx.translate(points[0].x, points[0].y)
+  ctx.rotate((Math.PI / 180) * rotate)
+
+  ctx.fillStyle = color
+  ctx.font = getTextFont(stroke)
+  ctx.textBaseline = 'top'
+
+  getTextLines(stroke).forEach((line, index) =>
+    ctx.fillText(line, 0, getTextLineTop(stroke, index))
+  )
+}
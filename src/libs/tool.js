@@ -0,0 +1,44 @@
+/**
+ * @author GuangHui
+ * @description 自定义工具注册相关函数
+ */
+
+// 自定义工具，key为工具名
+const tools = {}
+
+// 工具支持的回调
+const TOOL_HOOKS = ['onStart', 'onMove', 'onEnd', 'render', 'toSVG']
+
+/**
+ * 注册自定义工具，同名工具会被覆盖
+ *
+ * @export
+ * @param {String} name 工具名
+ * @param {Object} definition 工具定义{onStart,onMove,onEnd,cursor,render,toSVG}
+ */
+export function registerTool(name, definition) {
+  if (!name || typeof name !== 'string' || !definition) {
+    throw new Error('工具注册参数不正确')
+  }
+
+  TOOL_HOOKS.forEach(hook => {
+    if (definition[hook] != null && typeof definition[hook] !== 'function') {
+      throw new Error(`工具${name}的${hook}必须为函数`)
+    }
+  })
+
+  tools[name] = { ...definition }
+}
+
+/**
+ * 获取自定义工具
+ *
+ * @export Object
+ * @param {String} name 工具名
+ * @returns 工具定义，未注册时返回undefined
+ */
+export function getTool(name) {
+  return Object.prototype.hasOwnProperty.call(tools, name)
+    ? tools[name]
+    : undefined
+}
@@ -0,0 +1,81 @@
+/**
+ * @author GuangHui
+ * @description 协作操作的传输实现
+ * 传输需实现send(op)、onMessage(handler)(返回取消监听的函数)，可选实现close()
+ */
+
+/**
+ * 创建基于BroadcastChannel的传输，适用于同源的多个页面，可作为本地调试时WebSocket的替代
+ *
+ * @export Object
+ * @param {String} name 频道名
+ * @returns {send,onMessage,close}
+ */
+export function createBroadcastChannelTransport(name = 'drawing-board') {
+  const channel = new BroadcastChannel(name)
+
+  return {
+    send(op) {
+      channel.postMessage(op)
+    },
+    onMessage(handler) {
+      const listener = e => handler(e.data)
+
+      channel.addEventListener('message', listener, false)
+
+      return () => channel.removeEventListener('message', listener, false)
+    },
+    close() {
+      channel.close()
+    }
+  }
+}
+
+/**
+ * 创建基于WebSocket的传输，操作序列化为JSON，连接建立前发送的操作会排队
+ * 服务端只需将收到的消息转发给同一房间的其他连接
+ *
+ * @export Object
+ * @param {String|WebSocket} urlOrSocket 服务地址或已创建的WebSocket
+ * @returns {send,onMessage,close}
+ */
+export function createWebSocketTransport(urlOrSocket) {
+  const socket =
+    typeof urlOrSocket === 'string' ? new WebSocket(urlOrSocket) : urlOrSocket
+  const queue = []
+
+  const flush = () => {
+    while (queue.length) socket.send(queue.shift())
+  }
+
+  socket.addEventListener('open', flush, false)
+
+  return {
+    send(op) {
+      const data = JSON.stringify(op)
+
+      // 1为WebSocket.OPEN
+      socket.readyState === 1 ? socket.send(data) : queue.push(data)
+    },
+    onMessage(handler) {
+      const listener = e => {
+        let op
+        try {
+          op = JSON.parse(e.data)
+        } catch (err) {
+          // 忽略无法解析的消息
+          return
+        }
+        handler(op)
+      }
+
+      socket.addEventListener('message', listener, false)
+
+      return () => socket.removeEventListener('message', listener, false)
+    },
+    close() {
+      socket.removeEventListener('open', flush, false)
+      socket.close()
+    }
+  }
+}
@@ -3,45 +3,242 @@
  * @description 绘图板
  */
 
-import { blob2File } from './libs/file-convert'
+import {
+  blob2File,
+  getMimeType,
+  HEADLESS_MIME_TYPES
+} from './libs/file-convert'
+import { inBrowser } from './libs/browser'
+import { createEmitter } from './libs/emitter'
+import {
+  createStroke,
+  addStrokePoint,
+  drawStroke,
+  getStrokeCompositeOperation,
+  getPressureWidth,
+  getPointWidth,
+  getVelocityWidth,
+  getSmoothSegment,
+  getDistance,
+  getStrokesBounds,
+  cloneStroke,
+  rotateStroke,
+  moveStroke,
+  scaleStroke
+} from './libs/stroke'
+import { SCHEMA_VERSION, registerMigration, migrate } from './libs/serialize'
+import { createSVG } from './libs/svg'
+import { isShapeTool } from './libs/shape'
+import { DEFAULT_PAGE_ID, createPageId, pickPageState } from './libs/page'
+import {
+  createCollabId,
+  applyStrokeChanges,
+  serializeChanges
+} from './libs/collab'
+import { mergeKeyBindings, getKeyAction } from './libs/keyboard'
+import { registerTool, getTool } from './libs/tool'
+import {
+  AUTOSAVE_KEY_PREFIX,
+  resolveStorage,
+  readEntry,
+  writeEntry,
+  purgeEntries
+} from './libs/storage'
+import {
+  createBroadcastChannelTransport,
+  createWebSocketTransport
+} from './libs/transport'
+import { TEXT_LINE_HEIGHT, getTextFont } from './libs/text'
+import {
+  SELECTION_COLOR,
+  HANDLE_SIZE,
+  SELECTION_PADDING,
+  isStrokeInRegion,
+  hitTestStroke,
+  getSelectionHandles,
+  getHandleAt,
+  isPointInRect
+} from './libs/select'
+import {
+  requestFrame,
+  cancelFrame,
+  createReplayTimeline,
+  getReplayStrokesAt
+} from './libs/replay'
 
 class DrawingBoard {
   // 支持的交互模式枚举
-  static INTERACTIVE_MODE_ENUM = ['mouse', 'touch', 'both']
+  static INTERACTIVE_MODE_ENUM = ['mouse', 'touch', 'both', 'pointer']
+  // 容器尺寸变化时的适配模式枚举
+  static RESIZE_MODE_ENUM = ['fit', 'scale', 'none']
+  // 背景图适配模式枚举
+  static BG_IMG_FIT_ENUM = ['contain', 'cover', 'fill', 'none']
+  // 旋转时画布的处理方式枚举
+  static ROTATE_MODE_ENUM = ['expand', 'clip']
   // 支持的图片类型枚举
   static IMG_TYPE_ENUM = ['jpg', 'jpeg', 'png', 'webp']
+  // 支持的矢量图类型枚举
+  static VECTOR_TYPE_ENUM = ['svg']
+  // 支持的工具枚举
+  static TOOL_ENUM = [
+    'pen',
+    'eraser',
+    'line',
+    'rect',
+    'ellipse',
+    'arrow',
+    'text',
+    'select'
+  ]
+  // 选择方式枚举(框选、套索)
+  static SELECT_MODE_ENUM = ['rect', 'lasso']
+  // 图层枚举(自下而上：背景层、笔迹层、预览层)
+  static LAYER_ENUM = ['background', 'ink', 'overlay']
+  // 支持的事件枚举
+  static EVENT_ENUM = [
+    'strokestart',
+    'strokemove',
+    'strokeend',
+    'revoke',
+    'redo',
+    'historychange',
+    'clear',
+    'rotate',
+    'bgload',
+    'bgerror',
+    'resize',
+    'pagechange',
+    'operation',
+    'remoteoperation',
+    'selectionchange',
+    'restorable',
+    'autosave',
+    'autosaveerror',
+    'mount',
+    'destroy'
+  ]
+  // 序列化数据结构版本
+  static SCHEMA_VERSION = SCHEMA_VERSION
+  // 协作操作的传输实现
+  static createBroadcastChannelTransport = createBroadcastChannelTransport
+  static createWebSocketTransport = createWebSocketTransport
+
+  /**
+   * 注册序列化数据的版本迁移函数，loadJSON时会将旧版本数据逐版本迁移至当前版本
+   * @param {Number} fromVersion 源版本
+   * @param {Function} migrate 迁移函数，接收fromVersion版本的数据，返回fromVersion+1版本的数据
+   */
+  static registerMigration(fromVersion, migrate) {
+    registerMigration(fromVersion, migrate)
+  }
+
+  /**
+   * 注册自定义工具，注册后可通过setTool(name)使用，不能与内置工具同名
+   * 回调的参数context:{board,tool,event,pointerType,point,startPoint,lastPoint,state,preview(stroke),commit(stroke)}
+   * point为内容坐标下的采样点{x,y,t,pressure,tiltX,tiltY}，state用于在一次绘制的各回调间共享数据
+   * preview在预览层绘制笔画，commit将笔画作为一步提交(可撤销)
+   * @param {String} name 工具名
+   * @param {Object} definition 工具定义
+   * {
+   *   onStart:指针按下时的回调(context)
+   *   onMove:指针移动时的回调(context)
+   *   onEnd:指针抬起时的回调(context)，结束后预览层会被清空
+   *   cursor:使用该工具时画布的css光标
+   *   render:绘制该工具笔画(tool为name)的函数(ctx,stroke)，不传则按画笔绘制
+   *   toSVG:将该工具笔画转换为SVG元素字符串的函数(stroke)，用于getSVG及svg导出；传了render而未传toSVG时，导出svg会跳过该工具的笔画
+   * }
+   */
+  static registerTool(name, definition) {
+    if (DrawingBoard.TOOL_ENUM.includes(name)) {
+      throw new Error(`不能覆盖内置工具${name}`)
+    }
+
+    registerTool(name, definition)
+  }
 
   constructor(container, options) {
+    // 事件中心，reInit时保留已注册的监听
+    this._emitter = createEmitter()
+
+    // 构造期间触发的事件延迟到微任务中，构造后再监听也能收到
+    this._isConstructing = true
+
     this._init(container, options)
 
     if (!this.manualMount) this.mount(this.container)
+
+    this._isConstructing = false
+  }
+
+  /**
+   * 触发事件，构造期间(如自动挂载、初始尺寸)延迟到微任务中触发
+   * @param {String} name 事件名
+   * @param {Object} payload 事件数据
+   */
+  _emitAfterConstruct(name, payload) {
+    this._isConstructing
+      ? Promise.resolve().then(() => this._emitter.emit(name, payload))
+      : this._emitter.emit(name, payload)
   }
 
   /**
    * 初始化
-   * @param {HTMLElement|String} container 容器
+   * @param {HTMLElement|String} container 容器，传入canvasFactory时可为空，此时不创建DOM(无界面渲染)
    * @param {Object} options 选项
    */
   _init(container, options) {
-    if (!container) throw new Error('el为必填项')
+    if (!container && !(options && options.canvasFactory)) {
+      throw new Error('el为必填项，无DOM环境下需传入canvasFactory')
+    }
 
     this.container =
       typeof container === 'string'
         ? document.querySelector(container)
-        : container
+        : container || null
+    // 无界面模式，只用于渲染、导出，不响应交互
+    this.headless = !this.container
 
     this._defaultOptions = {
       size: [], // canvas尺寸
+      pixelRatio: null, // 像素比，画布实际像素为尺寸*像素比，css尺寸及坐标仍为逻辑像素，默认使用window.devicePixelRatio
       className: '', // 自定义样式类
+      autoResize: false, // 是否跟随容器尺寸变化，使用ResizeObserver监听，不支持时监听window的resize
+      resizeMode: 'fit', // autoResize的适配模式 enum:['fit','scale','none']，fit等比缩放内容并居中，scale拉伸内容铺满容器，none画布尺寸跟随容器、内容不缩放
       manualMount: false, // 手动挂载
       maxRevokeSteps: 10, // 最大回退步数
-      interactiveMode: 'mouse', // 交互模式 enum:['mouse','touch','both'] ,both将同时绑定mouse、touch事件(PointerEvent存在兼容性问题，放弃使用)
+      interactiveMode: 'mouse', // 交互模式 enum:['mouse','touch','both','pointer'] ,both将同时绑定mouse、touch事件；pointer使用PointerEvent，不支持时降级为both
+      pressureSensitive: true, // pointer模式下是否根据压感、倾斜角度调整笔迹粗细
       penColor: 'red', // 画笔颜色
       penWidth: 6, // 画笔粗细
+      smoothing: false, // 平滑笔迹，使用二次贝塞尔曲线经过相邻采样点的中点
+      minPointDistance: 0, // 点抽稀，与上一个采样点距离小于该值(px)时忽略
+      velocityWidth: false, // 签名笔锋效果，根据书写速度调整粗细，越快越细(优先于压感)
+      minPenWidth: 2, // velocityWidth开启时的最小粗细
+      maxPenWidth: 8, // velocityWidth开启时的最大粗细
+      tool: 'pen', // 工具 enum:['pen','eraser','line','rect','ellipse','arrow','text','select']或registerTool注册的工具，橡皮擦只擦除笔迹，不影响背景；图形使用画笔颜色、粗细；文字使用画笔颜色；select选择笔画后可移动、缩放、改色、删除
+      selectMode: 'rect', // 选择方式 enum:['rect','lasso']，rect框选，lasso套索
+      fillColor: '', // 矩形、椭圆的填充色，为空则不填充
+      fontFamily: 'sans-serif', // 文字字体
+      fontSize: 16, // 文字字号(px)
+      eraserWidth: 20, // 橡皮擦粗细
       bgImgURL: '', // 背景图url或base64
-      bgImgRotate: 0, // 背景图旋转角度
+      bgImgRotate: 0, // 背景图旋转角度，支持任意角度
+      bgImgFit: 'fill', // 背景图适配模式 enum:['contain','cover','fill','none']，contain完整显示并保持比例，cover铺满并保持比例，fill拉伸铺满，none原始尺寸
+      bgImgAlignX: 'center', // 背景图水平对齐 enum:['left','center','right']
+      bgImgAlignY: 'center', // 背景图垂直对齐 enum:['top','center','bottom']
+      rotateMode: 'expand', // 非90度整数倍旋转时画布的处理方式 enum:['expand','clip']，expand画布扩大以容纳旋转后的内容，clip画布尺寸不变、裁剪超出部分
       bgColor: '#fff', // 背景色
+      overlay: false, // 是否创建预览层，预览层位于笔迹层之上且不响应交互
+      keyboard: false, // 键盘快捷键及读屏播报，true使用默认快捷键，传对象可覆盖默认快捷键{revoke,redo,clear,decreaseWidth,increaseWidth,rotate,rotateBack}，值为null时禁用该快捷键
+      ariaLabel: '画板', // 画布的无障碍标签
+      collaborative: false, // 协作模式，本地操作以operation事件发出，撤销、重做只影响自己的笔画，旋转不可撤销
+      userId: '', // 协作模式下的用户id，记录在笔画上，不传则自动生成
+      transport: null, // 协作操作的传输，需实现send(op)、onMessage(handler)，传入时自动开启协作模式
       onRevokeStackChange: null, // 撤销栈改变时的回调
+      onHistoryChange: null, // 历史记录(撤销栈、重做栈)改变时的回调
+      canvasFactory: null, // 创建canvas的函数(width,height)=>canvas，无DOM环境(如node-canvas的createCanvas)下必传
+      imageLoader: null, // 加载图片的函数url=>Promise<图像对象>，无DOM环境(如node-canvas的loadImage)下加载背景图时必传
+      autosave: false, // 自动保存，true或{key,storage,debounce,expires}开启，绘制、清空、旋转、撤销、重做后保存，存在可恢复的记录时触发restorable事件，通过restore()恢复。key区分不同画板，默认default；storage enum:['localStorage','indexedDB']或自定义存储{getItem,setItem,removeItem,keys?}，默认localStorage；debounce防抖间隔(ms)，默认1000；expires有效期(ms)，默认7天
       onPaintEnd: null // 绘制一笔结束的回调
     }
 
@@ -52,44 +249,116 @@ class DrawingBoard {
 
     const {
       size,
+      pixelRatio,
       className,
+      autoResize,
+      resizeMode,
       manualMount,
       maxRevokeSteps,
       interactiveMode,
+      pressureSensitive,
       penColor,
       penWidth,
+      smoothing,
+      minPointDistance,
+      velocityWidth,
+      minPenWidth,
+      maxPenWidth,
+      tool,
+      selectMode,
+      fillColor,
+      fontFamily,
+      fontSize,
+      eraserWidth,
       bgImgURL,
       bgImgRotate,
+      bgImgFit,
+      bgImgAlignX,
+      bgImgAlignY,
+      rotateMode,
       bgColor,
+      overlay,
+      keyboard,
+      ariaLabel,
+      collaborative,
+      userId,
+      transport,
+      canvasFactory,
+      imageLoader,
+      autosave,
       onRevokeStackChange,
+      onHistoryChange,
       onPaintEnd
     } = this.options
 
-    // 尺寸未传，则使用容器的尺寸
+    // 需在创建canvas、加载背景图前确定
+    this.canvasFactory =
+      typeof canvasFactory === 'function' ? canvasFactory : null
+    this.imageLoader = typeof imageLoader === 'function' ? imageLoader : null
+
+    // 像素比，需在设置尺寸前确定
+    this.pixelRatio = this._getLawfulPixelRatio(pixelRatio)
+
+    // 跟随容器尺寸变化，挂载时开始监听
+    this._unobserveContainer()
+    this.autoResize = !!autoResize
+    this.resizeMode = DrawingBoard.RESIZE_MODE_ENUM.includes(resizeMode)
+      ? resizeMode
+      : 'fit'
+    // 视图尺寸，为空时与画布尺寸一致
+    this._viewSize = null
+
+    // 尺寸未传，则使用容器的尺寸，无容器时使用canvas的默认尺寸
     const [width, height] = size
+    const containerSize = this.container
+      ? this.container.getBoundingClientRect()
+      : { width: 300, height: 150 }
 
     this.setSize([
-      width == null ? this.container.getBoundingClientRect().width : width,
-      height == null ? this.container.getBoundingClientRect().height : height
+      width == null ? containerSize.width : width,
+      height == null ? containerSize.height : height
     ])
 
     // 手动挂载
     this.manualMount = manualMount
 
+    // 笔画列表，画布内容均由其重新渲染
+    this.strokes = []
+    // 当前正在绘制的笔画
+    this._currentStroke = null
+    // 选中的笔画id
+    this._selectedIds = []
+    // 选择工具的拖动状态{action,start,current,path,...}
+    this._selectDrag = null
+    // 当前回放的控制句柄
+    this._replay && this._replay.stop()
+    this._replay = null
+
     // 撤销栈
     this.revokeStack = []
+    // 重做栈
+    this.redoStack = []
     // 最大撤销步数
     this.MAX_REVOKE_STEPS = this._getLawfulMaxRevokeSteps(maxRevokeSteps)
 
     this.lastPoint = null
     this.isPainting = false
+    // 自定义工具当前绘制的上下文
+    this._toolContext = null
 
     // 交互模式
-    this.interactiveMode = DrawingBoard.INTERACTIVE_MODE_ENUM.includes(
-      interactiveMode
-    )
-      ? interactiveMode
-      : 'mouse'
+    this.interactiveMode = this._getLawfulInteractiveMode(interactiveMode)
+    this.pressureSensitive = !!pressureSensitive
+    // 当前正在绘制的指针id，pointer模式下用于忽略其他指针
+    this._activePointerId = null
+
+    // 键盘快捷键
+    this.keyboard = !!keyboard
+    this.keyBindings = mergeKeyBindings(keyboard)
+    this.ariaLabel = ariaLabel
+    // 只绑定一次，reInit时才能正确移除已添加的监听
+    this._handleKeydownBinded =
+      this._handleKeydownBinded || this._handleKeydown.bind(this)
 
     this._handlePointerStartBinded = this._handlePointerStart.bind(this)
     this._handlePointerMoveBinded = this._handlePointerMove.bind(this)
@@ -146,42 +415,129 @@ class DrawingBoard {
         action: 'cancel',
         name: 'touchcancel',
         handler: this._handlePointerCancelBinded
+      },
+      {
+        pointerType: 'pointer',
+        action: 'start',
+        name: 'pointerdown',
+        handler: this._handlePointerStartBinded
+      },
+      {
+        pointerType: 'pointer',
+        action: 'move',
+        name: 'pointermove',
+        handler: this._handlePointerMoveBinded
+      },
+      {
+        pointerType: 'pointer',
+        action: 'end',
+        name: 'pointerup',
+        handler: this._handlePointerEndBinded
+      },
+      {
+        pointerType: 'pointer',
+        action: 'leave',
+        name: 'pointerleave',
+        handler: this._handlePointerLeaveBinded
+      },
+      {
+        pointerType: 'pointer',
+        action: 'cancel',
+        name: 'pointercancel',
+        handler: this._handlePointerCancelBinded
       }
     ]
 
+    this.minPenWidth = 2
+    this.maxPenWidth = 8
+    this.fillColor = ''
     this.setPenStyle({
       color: penColor,
-      width: penWidth
+      width: penWidth,
+      minWidth: minPenWidth,
+      maxWidth: maxPenWidth,
+      fillColor
     })
 
+    this.smoothing = false
+    this.minPointDistance = 0
+    this.velocityWidth = false
+    this.setStrokeMode({ smoothing, minPointDistance, velocityWidth })
+    // 经过滤波的书写速度(px/ms)
+    this._lastVelocity = 0
+
+    this.fontFamily = 'sans-serif'
+    this.fontSize = 16
+    this.setFontStyle({ family: fontFamily, size: fontSize })
+    // 正在编辑的文字
+    this._textEditor = null
+
+    this.tool = 'pen'
+    this.setTool(tool)
+    this.selectMode = 'rect'
+    this.setSelectMode(selectMode)
+
+    this.eraserWidth = 20
+    this.setEraserStyle({ width: eraserWidth })
+
     this.bgImgURL = bgImgURL
     this.bgColor = bgColor
 
-    this.bgImgRotate = this._getLawfulRotateAngle(bgImgRotate)
+    this.bgImgRotate = this._getLawfulRotateAngle(bgImgRotate) || 0
+    this.bgImgFit = 'fill'
+    this.bgImgAlignX = 'center'
+    this.bgImgAlignY = 'center'
+    this._setBgImgLayout({
+      fit: bgImgFit,
+      alignX: bgImgAlignX,
+      alignY: bgImgAlignY
+    })
+    this.rotateMode = DrawingBoard.ROTATE_MODE_ENUM.includes(rotateMode)
+      ? rotateMode
+      : 'expand'
     this.className = className
+    this.overlay = !!overlay
+
+    // 协作
+    this.collaborative = !!collaborative || !!transport
+    this.userId = userId || (this.collaborative ? createCollabId('user') : '')
+    // 应用远端操作及初始化时不发出操作
+    this._isOperationMuted = true
 
     // 有设置背景图，则获取并绘制
-    if (bgImgURL) {
-      this._getImageFromURL(bgImgURL)
-        .then(image => {
-          this._bgImgObject = image
-          // 保留原始尺寸，方便旋转时使用
-          this.originalSize = [image.width, image.height]
-          // TODO:此处存在异步问题，drawBg内部会使用ctx
-          this._drawBg(image, ...this.originalSize)
-        })
-        .catch(err => {
-          console.log(err)
-          this._bgImgObject = null
-        })
-    } else {
-      this._bgImgObject = null
-    }
+    // 未挂载时ctx不存在，renderBg内部会直接返回，挂载时会再次渲染
+    // 加载失败已通过bgerror通知，此处无需处理，可通过ready()获取加载结果
+    this._bgImgObject = null
+    this._abortBgLoad()
+    if (bgImgURL) this.setBgImg(bgImgURL).catch(() => {})
+
+    this._isOperationMuted = false
 
     this.onRevokeStackChange = onRevokeStackChange
+    this.onHistoryChange = onHistoryChange
     this.onPaintEnd = onPaintEnd
 
     this.paintCount = 0 // 记录绘制次数
+
+    // 页面列表，当前页的状态保存在实例上，切换页面时才同步到列表中
+    // 首页使用固定id，协作时各端的首页才能对应
+    this._pages = [{ id: DEFAULT_PAGE_ID }]
+    this._pageIndex = 0
+
+    this.disconnect()
+    if (transport) this.connect(transport)
+
+    // 自动保存，离开页面时立即保存尚未保存的内容
+    this._cancelAutosave()
+    this.autosave = this._getLawfulAutosave(autosave)
+    this._flushAutosaveBinded =
+      this._flushAutosaveBinded || this._flushAutosave.bind(this)
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.removeEventListener('pagehide', this._flushAutosaveBinded, false)
+      this.autosave &&
+        window.addEventListener('pagehide', this._flushAutosaveBinded, false)
+    }
+    this.autosave && this._checkAutosave()
   }
 
   /**
@@ -221,28 +577,47 @@ class DrawingBoard {
    */
   _getPointerType(mode) {
     if (mode === 'both') {
-      return ''
+      return ['mouse', 'touch']
     } else if (mode === 'touch') {
-      return 'touch'
+      return ['touch']
+    } else if (mode === 'pointer') {
+      return ['pointer']
     } else {
-      return 'mouse'
+      return ['mouse']
     }
   }
 
   /**
-   * 过滤出符合条件的EventItems
+   * 获取合法的交互模式，不支持PointerEvent时pointer模式降级为both
    * @param {String} mode 模式
+   */
+  _getLawfulInteractiveMode(mode) {
+    if (!DrawingBoard.INTERACTIVE_MODE_ENUM.includes(mode)) return 'mouse'
+
+    if (mode === 'pointer' && !(inBrowser && window.PointerEvent)) {
+      return 'both'
+    }
+
+    return mode
+  }
+
+  /**
+   * 过滤出符合条件的EventItems
+   * @param {Array} pointerType 指针类型
    * @param {String} action 动作
    */
-  _getEventItems({ mode, action }) {
+  _getEventItems({ pointerType, action }) {
+    const pointerTypes = pointerType || []
+
     // 默认全量返回
     let filterFn = () => true
 
-    if (mode && action) {
-      filterFn = item => item.mode === mode && item.action === action
-    } else if (mode && !action) {
-      filterFn = item => item.mode === mode
-    } else if (!mode && action) {
+    if (pointerTypes.length && action) {
+      filterFn = item =>
+        pointerTypes.includes(item.pointerType) && item.action === action
+    } else if (pointerTypes.length && !action) {
+      filterFn = item => pointerTypes.includes(item.pointerType)
+    } else if (!pointerTypes.length && action) {
       filterFn = item => item.action === action
     }
 
@@ -283,25 +658,89 @@ class DrawingBoard {
    * @param {MouseEvent|TouchEvent} e 事件对象
    */
   _handlePointerStart(e) {
-    console.log('_handlePointerStart')
+    // 回放期间不响应绘制
+    if (this.isPainting || this._replay) return
+
+    if (this.tool === 'text') {
+      // 阻止默认行为，避免编辑框刚打开就失去焦点
+      e.preventDefault()
+      // 已在编辑时，点击画布提交当前文字
+      this._textEditor
+        ? this._commitTextEditor()
+        : this._openTextEditor(this._getPointOffset(e))
+      return
+    }
+
     this.isPainting = true
 
+    if (this._isPointerEvent(e)) {
+      this._activePointerId = e.pointerId
+      // 捕获指针，移出画布后仍能收到后续事件
+      this.el &&
+        this.el.setPointerCapture &&
+        this.el.setPointerCapture(e.pointerId)
+    }
+
     this.lastPoint = this._getPointOffset(e)
 
-    // 绘制前保存状态
-    this.ctx &&
-      this._saveImageData(
-        'paint',
-        this.paintCount,
-        this.ctx.getImageData(0, 0, this.width, this.height)
-      )
+    if (this.tool === 'select') {
+      this._startSelectDrag(this.lastPoint, !!e.shiftKey)
 
-    this._drawCircle(
-      this.lastPoint.x,
-      this.lastPoint.y,
-      this.penWidth / 2,
-      this.penColor
-    )
+      this._bindCurModeEvents({ action: 'move' })
+      this._bindCurModeEvents({ action: 'end' })
+      this._bindCurModeEvents({ action: 'leave' })
+      return
+    }
+
+    if (getTool(this.tool)) {
+      this._startCustomTool(e, this.lastPoint)
+
+      this._bindCurModeEvents({ action: 'move' })
+      this._bindCurModeEvents({ action: 'end' })
+      this._bindCurModeEvents({ action: 'leave' })
+      return
+    }
+
+    const isShape = isShapeTool(this.tool)
+
+    // 绘制前保存状态，图形在结束提交时才保存
+    !isShape && this._saveSnapshot('paint')
+
+    const isEraser = this.tool === 'eraser'
+
+    this._currentStroke = createStroke({
+      tool: this.tool,
+      color: this.penColor,
+      width: isEraser ? this.eraserWidth : this.penWidth
+    })
+    if (this.userId) this._currentStroke.userId = this.userId
+    this._currentStroke.pointerType = this._getEventPointerType(e)
+    if (this.smoothing) this._currentStroke.smoothing = true
+    this.lastPoint = this._makeStrokePoint(e, this.lastPoint)
+    addStrokePoint(this._currentStroke, this.lastPoint)
+
+    this._emitter.emit('strokestart', {
+      stroke: this._currentStroke,
+      point: this.lastPoint
+    })
+
+    if (isShape) {
+      if (this.fillColor) this._currentStroke.fill = this.fillColor
+      // 图形拖动过程中在预览层绘制，结束时再提交
+      this._makeOverlay()
+    } else {
+      this.strokes = [...this.strokes, this._currentStroke]
+
+      const { color, tool } = this._currentStroke
+
+      this._drawCircle(
+        this.lastPoint.x,
+        this.lastPoint.y,
+        getPointWidth(this._currentStroke, this.lastPoint) / 2,
+        color,
+        getStrokeCompositeOperation(tool)
+      )
+    }
 
     this._bindCurModeEvents({ action: 'move' })
     this._bindCurModeEvents({ action: 'end' })
@@ -313,15 +752,76 @@ class DrawingBoard {
    * @param {MouseEvent|TouchEvent} e 事件对象
    */
   _handlePointerMove(e) {
-    console.log('_handlePointerMove')
+    if (!this.isPainting || !this._isActivePointer(e)) return
+
+    if (this._selectDrag) {
+      this._moveSelectDrag(this._getPointOffset(e))
+      return
+    }
+
+    if (this._toolContext) {
+      this._callToolHook('onMove', e, this._getPointOffset(e))
+      return
+    }
+
+    if (!this._currentStroke) return
+
+    const offset = this._getPointOffset(e)
+    const lastPoint = this.lastPoint
+
+    // 图形只保留起止点，并在预览层重绘
+    if (isShapeTool(this._currentStroke.tool)) {
+      const end = this._makeStrokePoint(e, offset)
+      this._currentStroke.points = [this._currentStroke.points[0], end]
+      this._renderPreview(this._currentStroke)
+
+      this._emitter.emit('strokemove', {
+        stroke: this._currentStroke,
+        point: end
+      })
+      return
+    }
+
+    // 点抽稀
+    if (
+      this.minPointDistance > 0 &&
+      getDistance(lastPoint, offset) < this.minPointDistance
+    ) {
+      return
+    }
+
+    const point = this._makeStrokePoint(e, offset)
 
-    if (!this.isPainting) return
+    addStrokePoint(this._currentStroke, point)
 
-    const { x, y } = this._getPointOffset(e)
-    const { x: lastX, y: lastY } = this.lastPoint
+    this._emitter.emit('strokemove', { stroke: this._currentStroke, point })
 
-    this._drawLine(lastX, lastY, x, y, this.penWidth, this.penColor)
-    this.lastPoint = { x, y }
+    const { color, tool, points, smoothing } = this._currentStroke
+    const composite = getStrokeCompositeOperation(tool)
+
+    if (smoothing) {
+      // 新增采样点后，以上一个采样点为控制点的曲线段才能确定
+      points.length >= 3 &&
+        this._drawSegment(
+          getSmoothSegment(this._currentStroke, points.length - 2),
+          color,
+          composite
+        )
+    } else {
+      this._drawLine(
+        lastPoint.x,
+        lastPoint.y,
+        point.x,
+        point.y,
+        (getPointWidth(this._currentStroke, lastPoint) +
+          getPointWidth(this._currentStroke, point)) /
+          2,
+        color,
+        composite
+      )
+    }
+
+    this.lastPoint = point
   }
 
   /**
@@ -329,16 +829,50 @@ class DrawingBoard {
    * @param {MouseEvent|TouchEvent} e 事件对象
    */
   _handlePointerEnd(e) {
-    console.log('_handlePointerEnd')
-    this.isPainting = false
+    if (!this._isActivePointer(e)) return
+
+    if (this._isPointerEvent(e)) {
+      this.el &&
+        this.el.releasePointerCapture &&
+        this.el.hasPointerCapture &&
+        this.el.hasPointerCapture(e.pointerId) &&
+        this.el.releasePointerCapture(e.pointerId)
+    }
 
-    this.paintCount++
+    // 平滑模式下，最后一段需在结束时补齐
+    const stroke = this._currentStroke
+    if (stroke && stroke.smoothing && stroke.points.length >= 2) {
+      this._drawSegment(
+        getSmoothSegment(stroke, stroke.points.length - 1),
+        stroke.color,
+        getStrokeCompositeOperation(stroke.tool)
+      )
+    }
 
-    this.onPaintEnd &&
-      typeof this.onPaintEnd === 'function' &&
-      this.onPaintEnd(this.paintCount)
+    // 选择工具的移动、缩放在结束时作为一步提交
+    this._selectDrag && this._endSelectDrag()
+
+    if (this._toolContext) {
+      this._callToolHook('onEnd', e)
+      this._toolContext = null
+      this.clearOverlay()
+    }
+
+    // 图形在结束时作为一步提交，未拖动则放弃
+    let isCommitted = !!stroke
+    if (stroke && isShapeTool(stroke.tool)) {
+      this.clearOverlay()
 
-    console.log('_handlePointerEnd paintCount', this.paintCount)
+      const [start, end] = stroke.points
+      isCommitted = !!end && getDistance(start, end) > 0
+      isCommitted && this._commitStroke(stroke)
+    }
+
+    this.isPainting = false
+    this._currentStroke = null
+    this._activePointerId = null
+
+    isCommitted && this._finishPaint(stroke)
 
     // 解绑相关事件
     this._cleanCurModeEvents({ action: 'move' })
@@ -347,498 +881,3330 @@ class DrawingBoard {
   }
 
   /**
-   * 处理指针离开
-   * @param {MouseEvent|TouchEvent} e 事件对象
+   * 完成一笔绘制，更新绘制次数并触发回调
+   * @param {Object} stroke 笔画
    */
-  _handlePointerLeave(e) {
-    console.log('_handlePointerLeave')
-    if (this.isPainting) this._handlePointerEnd(e)
+  _finishPaint(stroke) {
+    // 协作模式下绘制结束时才记录历史，并发出操作
+    if (this.collaborative) {
+      this._recordChange('paint', { add: [stroke] })
+      this._emitOperation('stroke', { changes: { add: [stroke] } })
+    }
+
+    this.paintCount++
+
+    this._scheduleAutosave()
+
+    this._announceHistory('已绘制')
+
+    this.onPaintEnd &&
+      typeof this.onPaintEnd === 'function' &&
+      this.onPaintEnd(this.paintCount)
+
+    this._emitter.emit('strokeend', { stroke, paintCount: this.paintCount })
   }
 
   /**
-   * 处理指针取消
+   * 开始自定义工具的绘制
    * @param {MouseEvent|TouchEvent} e 事件对象
+   * @param {Object} offset 位置{x,y}
    */
-  _handlePointerCancel(e) {
-    console.log('_handlePointerCancel')
+  _startCustomTool(e, offset) {
+    this._makeOverlay()
+
+    const point = this._makeStrokePoint(e, offset)
+
+    this._toolContext = {
+      board: this,
+      tool: this.tool,
+      pointerType: this._getEventPointerType(e),
+      startPoint: point,
+      lastPoint: null,
+      point,
+      // 供工具在各回调间共享数据
+      state: {},
+      preview: stroke => this._renderPreview(stroke),
+      commit: stroke => this.addStroke(stroke)
+    }
 
-    if (this.isPainting) this._handlePointerEnd(e)
+    this._callToolHook('onStart', e)
   }
 
   /**
-   * 绘制圆形
-   * @param {Number} x 横轴
-   * @param {Number} y 纵轴
-   * @param {Number} radius 半径
-   * @param {String} color 画笔颜色
+   * 调用自定义工具的回调
+   * @param {String} hook 回调名(onStart、onMove、onEnd)
+   * @param {MouseEvent|TouchEvent} e 事件对象
+   * @param {Object} offset 新的位置{x,y}，不传则沿用上一个位置
    */
-  _drawCircle(x, y, radius = 3, color = 'red') {
-    if (!this.ctx) return
-    this.ctx.save()
+  _callToolHook(hook, e, offset) {
+    const context = this._toolContext
+    const tool = getTool(context.tool)
 
-    this.ctx.fillStyle = color
+    context.event = e
 
-    this.ctx.beginPath()
-    this.ctx.arc(x, y, radius, 0, (Math.PI / 180) * 360, false)
-    this.ctx.fill()
+    if (offset) {
+      context.lastPoint = context.point
+      context.point = this._makeStrokePoint(e, offset)
+    }
 
-    this.ctx.restore()
+    tool && typeof tool[hook] === 'function' && tool[hook](context)
   }
 
   /**
-   * 绘制移动时的直线
-   * @param {Number} x1 起点x1
-   * @param {Number} y1 起点y1
-   * @param {Number} x2 终点x2
-   * @param {Number} y2 终点y2
-   * @param {Number} width 线条宽度
-   * @param {String} color 颜色
+   * 按当前工具设置画布光标，自定义工具可通过cursor指定
    */
-  _drawLine(x1, y1, x2, y2, width = 6, color = 'red') {
-    if (!this.ctx) return
-    this.ctx.save()
-
-    this.ctx.strokeStyle = color
-    this.ctx.lineWidth = width
-    this.ctx.lineCap = 'round'
-    this.ctx.lineJoin = 'round'
-
-    this.ctx.beginPath()
-    this.ctx.moveTo(x1, y1)
-    this.ctx.lineTo(x2, y2)
-    this.ctx.stroke()
+  _applyToolCursor() {
+    if (!this.el || !this.el.style) return
 
-    this.ctx.restore()
+    const tool = getTool(this.tool)
+    this.el.style.cursor = (tool && tool.cursor) || ''
   }
 
   /**
-   * 获取事件相对触发对象的偏移值
-   * @param {MouseEvent|TouchEvent} e 事件对象
+   * 开始选择工具的拖动
+   * 按下控制点时缩放，按下选择框内时移动，否则开始框选或套索
+   * @param {Object} point 位置{x,y}
+   * @param {Boolean} isAdditive 是否追加到已有选择(按住shift)
    */
-  _getPointOffset(e) {
-    if (e instanceof MouseEvent) {
-      return {
-        x: e.offsetX,
-        y: e.offsetY
-      }
-    } else if (e instanceof TouchEvent) {
-      const { touches, target } = e
+  _startSelectDrag(point, isAdditive) {
+    this._makeOverlay()
 
-      const { clientX, clientY } = touches[0]
-      const { left, top } = target.getBoundingClientRect()
+    const bounds = this._getSelectionBounds()
+    const handle = bounds && getHandleAt(bounds, point)
+    const drag = { start: point, current: point, origin: this.strokes }
 
-      return {
-        x: clientX - left,
-        y: clientY - top
+    if (handle) {
+      // 以对角的控制点为缩放原点
+      const [anchor] = getSelectionHandles(bounds).filter(
+        ({ x, y }) => x !== handle.x && y !== handle.y
+      )
+      this._selectDrag = { ...drag, action: 'scale', handle, anchor }
+    } else if (bounds && isPointInRect(point, bounds) && !isAdditive) {
+      this._selectDrag = { ...drag, action: 'move' }
+    } else {
+      this._selectDrag = {
+        ...drag,
+        action: 'select',
+        path: [point],
+        isAdditive
       }
     }
   }
 
   /**
-   * 获取合法的最大撤销步数
-   * @param {Number} steps 步数
+   * 选择工具拖动中，移动、缩放时预览变换后的笔画
+   * @param {Object} point 位置{x,y}
    */
-  _getLawfulMaxRevokeSteps(steps) {
-    if (steps <= 0 || typeof steps !== 'number' || isNaN(steps)) return 10
-    // 最大撤销步数
-    const LIMIT_MAX_REVOKE_STEPS = 50
-    if (steps > LIMIT_MAX_REVOKE_STEPS) return LIMIT_MAX_REVOKE_STEPS
-    return steps
+  _moveSelectDrag(point) {
+    const drag = this._selectDrag
+
+    drag.current = point
+
+    if (drag.action === 'select') {
+      drag.path.push(point)
+      this._renderSelection()
+      return
+    }
+
+    // 基于拖动开始时的笔画预览，结束时再提交
+    const transform = this._getSelectDragTransform()
+    this.strokes = drag.origin.map(stroke =>
+      this._selectedIds.includes(stroke.id) ? transform(stroke) : stroke
+    )
+    this._renderInk()
   }
 
   /**
-   * 保存当前画布状态
-   * @param {String} type 类型(绘制paint、清空clear) 默认paint
-   * @param {Number} paintCount 绘制次数
-   * @param {ImageData} imageData 像素数据
+   * 结束选择工具的拖动
    */
-  _saveImageData(type = 'paint', paintCount, imageData) {
-    if (
-      !['paint', 'clear'].includes(type) ||
-      paintCount == null ||
-      !imageData ||
-      !(imageData instanceof ImageData)
-    ) {
+  _endSelectDrag() {
+    const drag = this._selectDrag
+    const { action, start, current, path, isAdditive } = drag
+
+    if (action === 'select') {
+      let ids
+
+      if (getDistance(start, current) < 3) {
+        // 单击时选中最上层命中的笔画
+        const hit = this._getSelectableStrokes()
+          .reverse()
+          .find(stroke =>
+            hitTestStroke(stroke, start, SELECTION_PADDING, this.ctx)
+          )
+        ids = hit ? [hit.id] : []
+      } else {
+        const region =
+          this.selectMode === 'lasso'
+            ? { polygon: path }
+            : {
+                rect: {
+                  x: Math.min(start.x, current.x),
+                  y: Math.min(start.y, current.y),
+                  width: Math.abs(current.x - start.x),
+                  height: Math.abs(current.y - start.y)
+                }
+              }
+        ids = this._getSelectableStrokes()
+          .filter(stroke => isStrokeInRegion(stroke, region, this.ctx))
+          .map(({ id }) => id)
+      }
+
+      this._selectDrag = null
+      this._setSelection(
+        isAdditive
+          ? [
+              ...this._selectedIds,
+              ...ids.filter(id => !this._selectedIds.includes(id))
+            ]
+          : ids
+      )
       return
     }
 
-    if (this.revokeStack.length >= this.MAX_REVOKE_STEPS) {
-      this.revokeStack.shift()
+    const transform = this._getSelectDragTransform()
+
+    // 恢复拖动前的笔画后作为一步提交，未拖动则放弃
+    this.strokes = drag.origin
+    this._selectDrag = null
+
+    getDistance(start, current) > 0
+      ? this._editSelection(transform)
+      : this._renderInk()
+  }
+
+  /**
+   * 获取选择工具当前拖动对应的笔画变换
+   * @returns {Function} 变换函数，接收笔画返回新笔画
+   */
+  _getSelectDragTransform() {
+    const { action, start, current, handle, anchor } = this._selectDrag
+
+    if (action === 'move') {
+      return stroke =>
+        moveStroke(stroke, current.x - start.x, current.y - start.y)
     }
 
-    // 保存类型及绘制次数(撤销时使用)
-    this.revokeStack.push({ type, paintCount, imageData })
+    // 拖动控制点时按其与原点的距离变化计算缩放比例
+    const getScale = key => {
+      const distance = handle[key] - anchor[key]
+      return distance ? (distance + current[key] - start[key]) / distance : 1
+    }
+    const scaleX = getScale('x')
+    const scaleY = getScale('y')
 
-    this.onRevokeStackChange &&
-      typeof this.onRevokeStackChange === 'function' &&
-      this.onRevokeStackChange(this.revokeStack)
+    return stroke => scaleStroke(stroke, anchor, scaleX, scaleY)
+  }
 
-    console.log('_saveImageData onRevokeStackChange', this.revokeStack)
+  /**
+   * 获取可选择的笔画，橡皮擦不可选择
+   */
+  _getSelectableStrokes() {
+    return this.strokes.filter(({ tool }) => tool !== 'eraser')
   }
 
   /**
-   * 生成canvas元素
+   * 获取选中的笔画，已不存在的笔画会被忽略
    */
-  _makeCanvas() {
-    return document.createElement('canvas')
+  _getSelectedStrokes() {
+    return this.strokes.filter(({ id }) => this._selectedIds.includes(id))
   }
 
   /**
-   * 设置canvas dom尺寸
-   * @param {Number} width 宽
-   * @param {Number} height 高
+   * 获取选择框，无选中笔画时返回null
    */
-  _setDOMSize([width, height]) {
-    if (width != null && this.el) this.el.width = width
-    if (height != null && this.el) this.el.height = height
+  _getSelectionBounds() {
+    const strokes = this._getSelectedStrokes()
+    const bounds = strokes.length && getStrokesBounds(strokes, this.ctx)
+
+    if (!bounds) return null
+
+    return {
+      x: bounds.x - SELECTION_PADDING,
+      y: bounds.y - SELECTION_PADDING,
+      width: bounds.width + SELECTION_PADDING * 2,
+      height: bounds.height + SELECTION_PADDING * 2
+    }
   }
 
   /**
-   * 获取绘图上下文
+   * 设置选中的笔画，并重绘选择框
+   * @param {Array} ids 笔画id列表
    */
-  _getCtx() {
-    return this.el && this.el.getContext && this.el.getContext('2d')
+  _setSelection(ids) {
+    const isChanged =
+      ids.length !== this._selectedIds.length ||
+      ids.some(id => !this._selectedIds.includes(id))
+
+    this._selectedIds = ids
+    this._renderSelection()
+
+    isChanged &&
+      this._emitter.emit('selectionchange', {
+        strokes: this._getSelectedStrokes()
+      })
   }
 
   /**
-   * 单步撤销
+   * 编辑选中的笔画，作为一步操作记录历史
+   * @param {Function} fn 编辑函数，接收笔画返回新笔画，返回null则删除该笔画
+   * @param {String} action 播报的操作描述
    */
-  _revoke() {
-    if (!this.ctx || !this.revokeStack || !this.revokeStack.length) return
+  _editSelection(fn, action = '已编辑') {
+    const before = this._getSelectedStrokes()
 
-    const {
-      imageData,
-      paintCount: afterRevokePaintCount
-    } = this.revokeStack.pop()
+    if (!before.length) return
 
-    this.ctx.putImageData(imageData, 0, 0)
+    this._saveSnapshot('edit')
 
-    // 恢复绘制次数
-    this.paintCount = afterRevokePaintCount
+    const after = []
+    this.strokes = this.strokes.reduce((result, stroke) => {
+      if (!this._selectedIds.includes(stroke.id)) return [...result, stroke]
 
-    this.onRevokeStackChange &&
-      typeof this.onRevokeStackChange === 'function' &&
-      this.onRevokeStackChange(this.revokeStack)
+      const edited = fn(stroke)
+      if (!edited) return result
 
-    console.log(
-      '_revoke onRevokeStackChange',
-      this.revokeStack,
-      afterRevokePaintCount
-    )
+      after.push(edited)
+      return [...result, edited]
+    }, [])
+
+    if (this.collaborative) {
+      this._recordChange('edit', { add: after, remove: before })
+      this._emitOperation('edit', {
+        changes: { add: after, remove: before.map(({ id }) => id) }
+      })
+    }
+
+    this._renderInk()
+    this._setSelection(after.map(({ id }) => id))
+
+    this._scheduleAutosave()
+
+    this._announceHistory(action)
   }
 
   /**
-   * 从url获取图片
-   * @param {String} imgURL 图片url，支持base64
+   * 在预览层绘制选择框及框选区域
+   */
+  _renderSelection() {
+    const ctx = this._overlayCtx
+
+    if (!ctx) return
+
+    this.clearOverlay()
+
+    const drag = this._selectDrag
+    const bounds = this._getSelectionBounds()
+
+    ctx.save()
+    ctx.strokeStyle = SELECTION_COLOR
+    ctx.lineWidth = 1
+    ctx.setLineDash && ctx.setLineDash([4, 4])
+
+    // 框选、套索区域
+    if (drag && drag.action === 'select') {
+      const { start, current, path } = drag
+
+      ctx.beginPath()
+      if (this.selectMode === 'lasso') {
+        path.forEach(({ x, y }, index) =>
+          index ? ctx.lineTo(x, y) : ctx.moveTo(x, y)
+        )
+        ctx.closePath()
+      } else {
+        ctx.rect(start.x, start.y, current.x - start.x, current.y - start.y)
+      }
+      ctx.stroke()
+    }
+
+    if (bounds) {
+      ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height)
+
+      ctx.setLineDash && ctx.setLineDash([])
+      ctx.fillStyle = '#fff'
+      getSelectionHandles(bounds).forEach(({ x, y }) => {
+        ctx.fillRect(
+          x - HANDLE_SIZE / 2,
+          y - HANDLE_SIZE / 2,
+          HANDLE_SIZE,
+          HANDLE_SIZE
+        )
+        ctx.strokeRect(
+          x - HANDLE_SIZE / 2,
+          y - HANDLE_SIZE / 2,
+          HANDLE_SIZE,
+          HANDLE_SIZE
+        )
+      })
+    }
+
+    ctx.restore()
+  }
+
+  /**
+   * 在指定位置打开文字编辑框，文字方向与背景图旋转角度一致
+   * @param {Object} point 位置{x,y}
+   */
+  _openTextEditor({ x, y }) {
+    if (!this.wrapper) return
+
+    const editor = document.createElement('textarea')
+    const rotate = this.bgImgRotate || 0
+    // 编辑框位于视图中，需按视图变换定位、缩放
+    const { scaleX, scaleY } = this._getViewport()
+    const view = this._contentToView({ x, y })
+
+    editor.rows = 1
+    editor.setAttribute('aria-label', '文字标注')
+
+    const { style } = editor
+    style.position = 'absolute'
+    style.left = `${view.x}px`
+    style.top = `${view.y}px`
+    style.margin = '0'
+    style.padding = '0'
+    style.border = 'none'
+    style.outline = `1px dashed ${this.penColor}`
+    style.background = 'transparent'
+    style.resize = 'none'
+    style.overflow = 'hidden'
+    style.whiteSpace = 'pre'
+    style.minWidth = '1em'
+    style.color = this.penColor
+    style.font = getTextFont({
+      fontSize: this.fontSize,
+      fontFamily: this.fontFamily
+    })
+    style.lineHeight = String(TEXT_LINE_HEIGHT)
+    style.transformOrigin = '0 0'
+    style.transform = `scale(${scaleX}, ${scaleY}) rotate(${rotate}deg)`
+
+    // 随内容自动调整编辑框尺寸
+    const handleInput = () => {
+      style.width = 'auto'
+      style.height = 'auto'
+      style.width = `${editor.scrollWidth}px`
+      style.height = `${editor.scrollHeight}px`
+    }
+    // Ctrl/Cmd+Enter提交，Esc取消，Enter换行
+    const handleKeydown = e => {
+      if (e.key === 'Escape') {
+        this._closeTextEditor()
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault()
+        this._commitTextEditor()
+      }
+    }
+    const handleBlur = () => this._commitTextEditor()
+
+    editor.addEventListener('input', handleInput, false)
+    editor.addEventListener('keydown', handleKeydown, false)
+    editor.addEventListener('blur', handleBlur, false)
+
+    this._textEditor = {
+      el: editor,
+      point: { x, y, t: Date.now() },
+      rotate,
+      color: this.penColor,
+      fontFamily: this.fontFamily,
+      fontSize: this.fontSize,
+      handlers: { input: handleInput, keydown: handleKeydown, blur: handleBlur }
+    }
+
+    this.wrapper.appendChild(editor)
+    editor.focus()
+  }
+
+  /**
+   * 关闭文字编辑框，不提交
+   */
+  _closeTextEditor() {
+    if (!this._textEditor) return
+
+    const { el, handlers } = this._textEditor
+    this._textEditor = null
+
+    Object.keys(handlers).forEach(name =>
+      el.removeEventListener(name, handlers[name], false)
+    )
+    el.parentNode && el.parentNode.removeChild(el)
+  }
+
+  /**
+   * 提交文字编辑框内容，作为一步绘制
+   */
+  _commitTextEditor() {
+    if (!this._textEditor) return
+
+    const { el, point, rotate, color, fontFamily, fontSize } = this._textEditor
+    const text = el.value
+
+    this._closeTextEditor()
+
+    if (!text.trim()) return
+
+    const stroke = createStroke({ tool: 'text', color, width: this.penWidth })
+    if (this.userId) stroke.userId = this.userId
+    stroke.text = text
+    stroke.fontFamily = fontFamily
+    stroke.fontSize = fontSize
+    stroke.rotate = rotate
+    addStrokePoint(stroke, point)
+
+    this._commitStroke(stroke)
+    this._finishPaint(stroke)
+  }
+
+  /**
+   * 将完整的笔画作为一步提交到笔画列表并绘制
+   * @param {Object} stroke 笔画
+   */
+  _commitStroke(stroke) {
+    this._saveSnapshot('paint')
+
+    this.strokes = [...this.strokes, stroke]
+
+    drawStroke(this.ctx, stroke)
+  }
+
+  /**
+   * 在预览层绘制笔画
+   * @param {Object} stroke 笔画
+   */
+  _renderPreview(stroke) {
+    if (!this._overlayCtx) return
+
+    this.clearOverlay()
+
+    drawStroke(this._overlayCtx, stroke)
+  }
+
+  /**
+   * 处理指针离开
+   * @param {MouseEvent|TouchEvent} e 事件对象
+   */
+  _handlePointerLeave(e) {
+    if (this.isPainting) this._handlePointerEnd(e)
+  }
+
+  /**
+   * 处理指针取消
+   * @param {MouseEvent|TouchEvent} e 事件对象
+   */
+  _handlePointerCancel(e) {
+    if (this.isPainting) this._handlePointerEnd(e)
+  }
+
+  /**
+   * 绘制圆形
+   * @param {Number} x 横轴
+   * @param {Number} y 纵轴
+   * @param {Number} radius 半径
+   * @param {String} color 画笔颜色
+   * @param {String} composite 合成模式
+   */
+  _drawCircle(x, y, radius = 3, color = 'red', composite = 'source-over') {
+    if (!this.ctx) return
+    this.ctx.save()
+
+    this.ctx.globalCompositeOperation = composite
+    this.ctx.fillStyle = color
+
+    this.ctx.beginPath()
+    this.ctx.arc(x, y, radius, 0, (Math.PI / 180) * 360, false)
+    this.ctx.fill()
+
+    this.ctx.restore()
+  }
+
+  /**
+   * 绘制移动时的直线
+   * @param {Number} x1 起点x1
+   * @param {Number} y1 起点y1
+   * @param {Number} x2 终点x2
+   * @param {Number} y2 终点y2
+   * @param {Number} width 线条宽度
+   * @param {String} color 颜色
+   * @param {String} composite 合成模式
+   */
+  _drawLine(
+    x1,
+    y1,
+    x2,
+    y2,
+    width = 6,
+    color = 'red',
+    composite = 'source-over'
+  ) {
+    if (!this.ctx) return
+    this.ctx.save()
+
+    this.ctx.globalCompositeOperation = composite
+    this.ctx.strokeStyle = color
+    this.ctx.lineWidth = width
+    this.ctx.lineCap = 'round'
+    this.ctx.lineJoin = 'round'
+
+    this.ctx.beginPath()
+    this.ctx.moveTo(x1, y1)
+    this.ctx.lineTo(x2, y2)
+    this.ctx.stroke()
+
+    this.ctx.restore()
+  }
+
+  /**
+   * 是否为PointerEvent
+   * @param {Event} e 事件对象
+   */
+  _isPointerEvent(e) {
+    return inBrowser && !!window.PointerEvent && e instanceof PointerEvent
+  }
+
+  /**
+   * 获取事件对应的指针类型(mouse、pen、touch)
+   * @param {Event} e 事件对象
+   */
+  _getEventPointerType(e) {
+    if (this._isPointerEvent(e)) return e.pointerType
+    return typeof TouchEvent !== 'undefined' && e instanceof TouchEvent
+      ? 'touch'
+      : 'mouse'
+  }
+
+  /**
+   * 是否为当前正在绘制的指针，非pointer模式时恒为true
+   * @param {Event} e 事件对象
+   */
+  _isActivePointer(e) {
+    if (!this._isPointerEvent(e) || this._activePointerId == null) return true
+    return e.pointerId === this._activePointerId
+  }
+
+  /**
+   * 生成笔画采样点，pointer模式下记录压感、倾斜角度并计算该点粗细
+   * @param {MouseEvent|TouchEvent|PointerEvent} e 事件对象
+   * @param {Object} offset 偏移值{x,y}
+   */
+  _makeStrokePoint(e, { x, y }) {
+    const point = { x, y, t: Date.now() }
+    // 自定义工具绘制时没有当前笔画
+    const isPen = !!this._currentStroke && this._currentStroke.tool === 'pen'
+
+    if (this._isPointerEvent(e)) {
+      point.pressure = e.pressure
+      point.tiltX = e.tiltX
+      point.tiltY = e.tiltY
+
+      if (this.pressureSensitive && e.pointerType !== 'mouse' && isPen) {
+        point.w = getPressureWidth(
+          this._currentStroke.width,
+          point,
+          e.pointerType
+        )
+      }
+    }
+
+    if (this.velocityWidth && isPen)
+      point.w = this._getVelocityPointWidth(point)
+
+    return point
+  }
+
+  /**
+   * 根据与上一个采样点间的书写速度计算采样点粗细
+   * @param {Object} point 采样点
+   */
+  _getVelocityPointWidth(point) {
+    const { points } = this._currentStroke
+    const lastPoint = points[points.length - 1]
+
+    // 起笔取中间粗细
+    if (!lastPoint) {
+      this._lastVelocity = 0
+      return (this.minPenWidth + this.maxPenWidth) / 2
+    }
+
+    const duration = point.t - lastPoint.t
+    const velocity =
+      duration > 0
+        ? getDistance(lastPoint, point) / duration
+        : this._lastVelocity
+
+    // 对速度做低通滤波，避免粗细突变
+    const VELOCITY_FILTER_WEIGHT = 0.7
+    this._lastVelocity =
+      VELOCITY_FILTER_WEIGHT * velocity +
+      (1 - VELOCITY_FILTER_WEIGHT) * this._lastVelocity
+
+    return getVelocityWidth(
+      this._lastVelocity,
+      this.minPenWidth,
+      this.maxPenWidth
+    )
+  }
+
+  /**
+   * 绘制平滑笔迹的曲线段
+   * @param {Object} segment 曲线段{from,cp,to,width}，无控制点时绘制直线
+   * @param {String} color 颜色
+   * @param {String} composite 合成模式
+   */
+  _drawSegment(
+    { from, cp, to, width },
+    color = 'red',
+    composite = 'source-over'
+  ) {
+    if (!this.ctx) return
+    this.ctx.save()
+
+    this.ctx.globalCompositeOperation = composite
+    this.ctx.strokeStyle = color
+    this.ctx.lineWidth = width
+    this.ctx.lineCap = 'round'
+    this.ctx.lineJoin = 'round'
+
+    this.ctx.beginPath()
+    this.ctx.moveTo(from.x, from.y)
+    cp
+      ? this.ctx.quadraticCurveTo(cp.x, cp.y, to.x, to.y)
+      : this.ctx.lineTo(to.x, to.y)
+    this.ctx.stroke()
+
+    this.ctx.restore()
+  }
+
+  /**
+   * 获取事件相对触发对象的偏移值
+   * @param {MouseEvent|TouchEvent} e 事件对象
+   */
+  _getPointOffset(e) {
+    if (typeof MouseEvent !== 'undefined' && e instanceof MouseEvent) {
+      return this._viewToContent({
+        x: e.offsetX,
+        y: e.offsetY
+      })
+    } else if (typeof TouchEvent !== 'undefined' && e instanceof TouchEvent) {
+      const { touches, target } = e
+
+      const { clientX, clientY } = touches[0]
+      const { left, top } = target.getBoundingClientRect()
+
+      return this._viewToContent({
+        x: clientX - left,
+        y: clientY - top
+      })
+    }
+  }
+
+  /**
+   * 获取视图变换，内容(笔画、背景)坐标经缩放、平移后显示在视图中
+   * autoResize为fit、scale模式时，视图尺寸跟随容器，内容尺寸保持不变
+   */
+  _getViewport() {
+    const [width, height] = this._viewSize || [this.width, this.height]
+
+    let scaleX = 1
+    let scaleY = 1
+    let offsetX = 0
+    let offsetY = 0
+
+    if (this._viewSize && this.width && this.height) {
+      scaleX = width / this.width
+      scaleY = height / this.height
+
+      if (this.resizeMode === 'fit') {
+        scaleX = scaleY = Math.min(scaleX, scaleY)
+        offsetX = (width - this.width * scaleX) / 2
+        offsetY = (height - this.height * scaleY) / 2
+      }
+    }
+
+    return { width, height, scaleX, scaleY, offsetX, offsetY }
+  }
+
+  /**
+   * 视图坐标转换为内容坐标
+   * @param {Object} point 视图坐标{x,y}
+   */
+  _viewToContent({ x, y }) {
+    const { scaleX, scaleY, offsetX, offsetY } = this._getViewport()
+
+    return {
+      x: (x - offsetX) / scaleX,
+      y: (y - offsetY) / scaleY
+    }
+  }
+
+  /**
+   * 内容坐标转换为视图坐标
+   * @param {Object} point 内容坐标{x,y}
+   */
+  _contentToView({ x, y }) {
+    const { scaleX, scaleY, offsetX, offsetY } = this._getViewport()
+
+    return {
+      x: x * scaleX + offsetX,
+      y: y * scaleY + offsetY
+    }
+  }
+
+  /**
+   * 开始监听容器尺寸变化
+   */
+  _observeContainer() {
+    if (!this.autoResize || this._resizeObserver || !this.container) return
+
+    const handler = () => this._handleContainerResize()
+
+    if (typeof ResizeObserver === 'function') {
+      this._resizeObserver = new ResizeObserver(handler)
+      this._resizeObserver.observe(this.container)
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('resize', handler, false)
+      this._resizeObserver = {
+        disconnect: () => window.removeEventListener('resize', handler, false)
+      }
+    }
+  }
+
+  /**
+   * 停止监听容器尺寸变化
+   */
+  _unobserveContainer() {
+    this._resizeObserver && this._resizeObserver.disconnect()
+    this._resizeObserver = null
+  }
+
+  /**
+   * 处理容器尺寸变化，按resizeMode重新渲染，笔画及历史记录均保留
+   */
+  _handleContainerResize() {
+    if (!this.container) return
+
+    const { width, height } = this.container.getBoundingClientRect()
+
+    // 容器隐藏时尺寸为0，忽略
+    if (!width || !height) return
+
+    if (this.resizeMode === 'none') {
+      if (width !== this.width || height !== this.height) {
+        this.setSize([width, height])
+      }
+      return
+    }
+
+    const [viewWidth, viewHeight] = this._viewSize || []
+    if (width === viewWidth && height === viewHeight) return
+
+    this._viewSize = [width, height]
+    this._setDOMSize()
+    this._render()
+
+    this._emitter.emit('resize', {
+      width: this.width,
+      height: this.height,
+      viewWidth: width,
+      viewHeight: height
+    })
+  }
+
+  /**
+   * 获取合法的像素比，未传时使用设备像素比
+   * @param {Number} ratio 像素比
+   */
+  _getLawfulPixelRatio(ratio) {
+    if (typeof ratio === 'number' && !isNaN(ratio) && ratio > 0) return ratio
+
+    const deviceRatio =
+      typeof window !== 'undefined' ? window.devicePixelRatio : null
+
+    return typeof deviceRatio === 'number' && deviceRatio > 0 ? deviceRatio : 1
+  }
+
+  /**
+   * 获取合法的最大撤销步数
+   * @param {Number} steps 步数
+   */
+  _getLawfulMaxRevokeSteps(steps) {
+    if (steps <= 0 || typeof steps !== 'number' || isNaN(steps)) return 10
+    // 最大撤销步数
+    const LIMIT_MAX_REVOKE_STEPS = 50
+    if (steps > LIMIT_MAX_REVOKE_STEPS) return LIMIT_MAX_REVOKE_STEPS
+    return steps
+  }
+
+  /**
+   * 保存当前画布状态
+   * @param {String} type 类型(绘制paint、清空clear、旋转rotate、编辑选中笔画edit) 默认paint
+   */
+  _saveSnapshot(type = 'paint') {
+    // 协作模式下按自己的操作记录历史，见_recordChange
+    if (this.collaborative) return
+
+    if (!['paint', 'clear', 'rotate', 'edit'].includes(type)) return
+
+    this._pushRevokeStack(this._getSnapshot(type))
+
+    // 产生了新的操作，之前撤销的内容无法再重做
+    this.redoStack = []
+
+    this._triggerHistoryChange()
+  }
+
+  /**
+   * 协作模式下记录自己的操作，撤销时只回退该操作涉及的笔画，不影响其他用户
+   * @param {String} type 类型(绘制paint、清空clear、编辑edit)
+   * @param {Object} changes 变更{add:[笔画],remove:[笔画]}
+   */
+  _recordChange(type, { add = [], remove = [] }) {
+    this._pushRevokeStack({ type, paintCount: this.paintCount, add, remove })
+
+    // 产生了新的操作，之前撤销的内容无法再重做
+    this.redoStack = []
+
+    this._triggerHistoryChange()
+  }
+
+  /**
+   * 协作模式下撤销或重做自己的操作
+   * 只处理仍需变更的笔画，如已被他人清除的笔画不再重复删除
+   * @param {Object} entry 历史记录{type,paintCount,add,remove}
+   * @param {Boolean} isRevoke 是否为撤销
+   * @returns 供反向操作使用的历史记录
+   */
+  _applyChangeEntry(entry, isRevoke) {
+    const hasStroke = ({ id }) => this.strokes.some(stroke => stroke.id === id)
+    const toAdd = isRevoke ? entry.remove : entry.add
+    const toRemove = isRevoke ? entry.add : entry.remove
+
+    const remove = toRemove.filter(hasStroke).map(({ id }) => id)
+    // 编辑前后的笔画id相同，被移除的笔画需重新添加
+    const changes = {
+      add: toAdd.filter(
+        stroke => !hasStroke(stroke) || remove.includes(stroke.id)
+      ),
+      remove
+    }
+
+    this.strokes = applyStrokeChanges(this.strokes, changes)
+    this._renderInk()
+
+    const opposite = { ...entry, paintCount: this.paintCount }
+    this.paintCount = entry.paintCount
+
+    this._emitOperation(isRevoke ? 'revoke' : 'redo', { changes })
+
+    return opposite
+  }
+
+  /**
+   * 发出协作操作，并通过传输发送
+   * @param {String} type 类型(stroke、clear、edit、revoke、redo、rotate、background、addpage、removepage)
+   * @param {Object} payload 操作内容，changes为笔画变更{add:[笔画],remove:[笔画id]}，pageId默认为当前页
+   */
+  _emitOperation(type, payload) {
+    if (!this.collaborative || this._isOperationMuted) return
+
+    const op = {
+      id: createCollabId('op'),
+      userId: this.userId,
+      type,
+      time: Date.now(),
+      pageId: this._pages[this._pageIndex].id,
+      ...payload
+    }
+    if (payload.changes) op.changes = serializeChanges(payload.changes)
+
+    this._transport && this._transport.send(op)
+
+    this._emitter.emit('operation', op)
+  }
+
+  /**
+   * 获取当前画布状态快照
+   * 笔画坐标依赖于旋转角度及尺寸，需一并保存
+   * @param {String} type 类型
+   */
+  _getSnapshot(type) {
+    // 笔画列表每次变更都会生成新数组，此处保存引用即可
+    return {
+      type,
+      paintCount: this.paintCount,
+      strokes: this.strokes,
+      bgImgRotate: this.bgImgRotate,
+      bgImgFrame: this._bgImgFrame,
+      size: [this.width, this.height]
+    }
+  }
+
+  /**
+   * 恢复画布状态快照
+   * @param {Object} snapshot 快照
+   */
+  _restoreSnapshot({ paintCount, strokes, bgImgRotate, bgImgFrame, size }) {
+    this.strokes = strokes
+    this.paintCount = paintCount
+
+    const [width, height] = size
+    const isTransformed =
+      bgImgRotate !== this.bgImgRotate ||
+      bgImgFrame !== this._bgImgFrame ||
+      width !== this.width ||
+      height !== this.height
+
+    if (isTransformed) {
+      this.bgImgRotate = bgImgRotate
+      this.setSize(size)
+      this._bgImgFrame = bgImgFrame
+      this._render()
+    } else {
+      this._renderInk()
+    }
+  }
+
+  /**
+   * 入撤销栈，超出最大撤销步数时丢弃最早的记录
+   * @param {Object} snapshot 快照
+   */
+  _pushRevokeStack(snapshot) {
+    if (this.revokeStack.length >= this.MAX_REVOKE_STEPS) {
+      this.revokeStack.shift()
+    }
+
+    this.revokeStack.push(snapshot)
+  }
+
+  /**
+   * 触发历史记录改变相关回调
+   */
+  _triggerHistoryChange() {
+    this.onRevokeStackChange &&
+      typeof this.onRevokeStackChange === 'function' &&
+      this.onRevokeStackChange(this.revokeStack)
+
+    this.onHistoryChange &&
+      typeof this.onHistoryChange === 'function' &&
+      this.onHistoryChange({
+        revokeStack: this.revokeStack,
+        redoStack: this.redoStack
+      })
+
+    this._emitter.emit('historychange', {
+      revokeStack: this.revokeStack,
+      redoStack: this.redoStack
+    })
+  }
+
+  /**
+   * 获取合法的自动保存配置，存储不可用时返回null
+   * @param {Boolean|Object} autosave 自动保存选项
+   */
+  _getLawfulAutosave(autosave) {
+    if (!autosave) return null
+
+    const {
+      key = 'default',
+      storage = 'localStorage',
+      debounce = 1000,
+      expires = 7 * 24 * 60 * 60 * 1000
+    } = autosave === true ? {} : autosave
+
+    const lawfulStorage = resolveStorage(storage)
+
+    if (!lawfulStorage) return null
+
+    return {
+      key: `${AUTOSAVE_KEY_PREFIX}${key}`,
+      storage: lawfulStorage,
+      debounce: typeof debounce === 'number' && debounce >= 0 ? debounce : 1000,
+      expires:
+        typeof expires === 'number' && expires > 0
+          ? expires
+          : 7 * 24 * 60 * 60 * 1000
+    }
+  }
+
+  /**
+   * 清理过期记录，存在可恢复的记录时触发restorable事件
+   * 异步触发，构造后再监听也能收到
+   */
+  _checkAutosave() {
+    const { storage, key, expires } = this.autosave
+
+    purgeEntries(storage, expires, key)
+      .then(() => readEntry(storage, key, expires))
+      .then(entry => {
+        entry &&
+          this._emitter.emit('restorable', {
+            savedAt: entry.savedAt,
+            isBgOmitted: !!entry.isBgOmitted
+          })
+      })
+      .catch(() => {})
+  }
+
+  /**
+   * 防抖保存
+   */
+  _scheduleAutosave() {
+    if (!this.autosave) return
+
+    this._cancelAutosave()
+    this._autosaveTimer = setTimeout(() => {
+      this._autosaveTimer = null
+      this._saveAutosave()
+    }, this.autosave.debounce)
+  }
+
+  /**
+   * 取消尚未执行的保存
+   */
+  _cancelAutosave() {
+    this._autosaveTimer && clearTimeout(this._autosaveTimer)
+    this._autosaveTimer = null
+  }
+
+  /**
+   * 立即执行尚未执行的保存
+   */
+  _flushAutosave() {
+    if (!this._autosaveTimer) return
+
+    this._cancelAutosave()
+    this._saveAutosave()
+  }
+
+  /**
+   * 保存所有页面的绘图数据
+   * @returns {Promise}
+   */
+  _saveAutosave() {
+    if (!this.autosave) return Promise.resolve()
+
+    const { storage, key, expires } = this.autosave
+
+    return writeEntry(storage, key, this._getPagesJSON(), expires).then(
+      ({ savedAt, isBgOmitted }) =>
+        this._emitter.emit('autosave', { savedAt, isBgOmitted: !!isBgOmitted }),
+      error => this._emitter.emit('autosaveerror', { error })
+    )
+  }
+
+  /**
+   * 重新渲染背景层及笔迹层
+   */
+  _render() {
+    this._renderBg()
+    this._renderInk()
+  }
+
+  /**
+   * 根据背景色及背景图重新渲染背景层
+   */
+  _renderBg() {
+    if (!this._bgCtx) return
+
+    this._clearCtx(this._bgCtx)
+
+    this._paintBg(this._bgCtx)
+  }
+
+  /**
+   * 将背景色及背景图绘制到指定上下文
+   * @param {CanvasRenderingContext2D} ctx 绘图上下文
+   */
+  _paintBg(ctx) {
+    if (this.bgColor) {
+      ctx.save()
+      ctx.fillStyle = this.bgColor
+      ctx.fillRect(0, 0, this.width, this.height)
+      ctx.restore()
+    }
+
+    this._bgImgObject &&
+      this._drawBg(ctx, this._bgImgObject, ...this.originalSize)
+  }
+
+  /**
+   * 清空图层，视图缩放后内容区域外也可能有笔迹，需按实际像素清空
+   * @param {CanvasRenderingContext2D} ctx 绘图上下文
+   */
+  _clearCtx(ctx) {
+    ctx.save()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+    ctx.restore()
+  }
+
+  /**
+   * 根据笔画列表重新渲染笔迹层
+   * 笔迹与背景分层绘制，橡皮擦只会擦除笔迹而不会擦除背景
+   */
+  _renderInk() {
+    if (!this.ctx) return
+
+    this._clearCtx(this.ctx)
+
+    this.strokes.forEach(stroke => drawStroke(this.ctx, stroke))
+
+    // 笔画变化后选择框随之更新
+    this._selectedIds.length && this._renderSelection()
+  }
+
+  /**
+   * 生成canvas元素，传入canvasFactory时由其创建
+   * @param {Number} width 宽(实际像素)
+   * @param {Number} height 高(实际像素)
+   */
+  _makeCanvas(width = 300, height = 150) {
+    if (this.canvasFactory) return this.canvasFactory(width, height)
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+  }
+
+  /**
+   * 生成图层容器
+   */
+  _makeWrapper() {
+    const wrapper = document.createElement('div')
+    wrapper.style.position = 'relative'
+    return wrapper
+  }
+
+  /**
+   * 设置笔迹层的无障碍属性，开启键盘快捷键时笔迹层可获得焦点，并创建播报区域
+   */
+  _setupAccessibility() {
+    const { el } = this
+
+    el.setAttribute('role', this.keyboard ? 'application' : 'img')
+    el.setAttribute('aria-label', this.ariaLabel)
+
+    el.removeEventListener('keydown', this._handleKeydownBinded, false)
+
+    if (!this.keyboard) {
+      el.removeAttribute('tabindex')
+      return
+    }
+
+    el.setAttribute('tabindex', '0')
+    el.addEventListener('keydown', this._handleKeydownBinded, false)
+
+    if (!this._liveRegionEl) {
+      const region = document.createElement('div')
+      region.setAttribute('aria-live', 'polite')
+      region.setAttribute('role', 'status')
+
+      // 视觉上隐藏，读屏软件仍可读取
+      const { style } = region
+      style.position = 'absolute'
+      style.width = '1px'
+      style.height = '1px'
+      style.margin = '-1px'
+      style.padding = '0'
+      style.border = '0'
+      style.overflow = 'hidden'
+      style.clip = 'rect(0 0 0 0)'
+      style.whiteSpace = 'nowrap'
+
+      this._liveRegionEl = region
+      this.wrapper.appendChild(region)
+    }
+  }
+
+  /**
+   * 通过播报区域向读屏软件播报消息
+   * @param {String} message 消息
+   */
+  _announce(message) {
+    if (!this._liveRegionEl) return
+
+    // 内容不变时不会再次播报，追加空格以示区别
+    this._liveRegionEl.textContent =
+      this._liveRegionEl.textContent === message ? `${message}\u00a0` : message
+  }
+
+  /**
+   * 播报历史记录状态
+   * @param {String} action 操作描述
+   */
+  _announceHistory(action) {
+    this._announce(
+      `${action}，可撤销${this.revokeStack.length}步，可重做${this.redoStack.length}步`
+    )
+  }
+
+  /**
+   * 处理快捷键
+   * @param {KeyboardEvent} e 事件对象
+   */
+  _handleKeydown(e) {
+    if (!this.keyboard || this.isPainting) return
+
+    const action = getKeyAction(e, this.keyBindings)
+
+    if (!action) return
+
+    e.preventDefault()
+
+    const isEraser = this.tool === 'eraser'
+    const width = isEraser ? this.eraserWidth : this.penWidth
+
+    switch (action) {
+      case 'revoke':
+        this.revoke()
+        break
+      case 'redo':
+        this.redo()
+        break
+      case 'clear':
+        // 有选中笔画时只删除选中的笔画
+        this._selectedIds.length ? this.deleteSelection() : this.clear()
+        break
+      case 'decreaseWidth':
+      case 'increaseWidth': {
+        const newWidth = Math.max(
+          width + (action === 'increaseWidth' ? 1 : -1),
+          1
+        )
+
+        isEraser
+          ? this.setEraserStyle({ width: newWidth })
+          : this.setPenStyle({ width: newWidth })
+
+        this._announce(`${isEraser ? '橡皮擦' : '画笔'}粗细${newWidth}`)
+        break
+      }
+      case 'rotate':
+        this.rotate(1)
+        break
+      case 'rotateBack':
+        this.rotate(-1)
+        break
+    }
+  }
+
+  /**
+   * 生成图层canvas，图层均绝对定位叠放在容器中
+   * @param {Boolean} interactive 是否响应交互
+   */
+  _makeLayer(interactive = true) {
+    const layer = this._makeCanvas()
+    layer.style.position = 'absolute'
+    layer.style.left = '0'
+    layer.style.top = '0'
+    if (!interactive) {
+      layer.style.pointerEvents = 'none'
+      // 背景层、预览层只用于展示，读屏时忽略
+      layer.setAttribute('aria-hidden', 'true')
+    }
+    return layer
+  }
+
+  /**
+   * 创建预览层
+   */
+  _makeOverlay() {
+    if (this._overlayEl || !this.wrapper) return
+
+    this._overlayEl = this._makeLayer(false)
+    this._overlayCtx =
+      this._overlayEl.getContext && this._overlayEl.getContext('2d')
+
+    this._setDOMSize()
+
+    this.wrapper.appendChild(this._overlayEl)
+  }
+
+  /**
+   * 按视图尺寸设置canvas dom尺寸
+   * 画布实际像素按像素比放大，css尺寸保持逻辑像素
+   */
+  _setDOMSize() {
+    const ratio = this.pixelRatio
+    const {
+      width,
+      height,
+      scaleX,
+      scaleY,
+      offsetX,
+      offsetY
+    } = this._getViewport()
+
+    ;[this._bgEl, this.el, this._overlayEl].forEach(el => {
+      if (!el) return
+
+      el.width = Math.round(width * ratio)
+      el.height = Math.round(height * ratio)
+      // 无界面模式下的canvas可能没有style
+      if (el.style) {
+        el.style.width = `${width}px`
+        el.style.height = `${height}px`
+      }
+
+      // 重设尺寸会重置变换，需重新设置，之后均可按内容坐标绘制
+      const ctx = el.getContext && el.getContext('2d')
+      ctx &&
+        ctx.setTransform(
+          ratio * scaleX,
+          0,
+          0,
+          ratio * scaleY,
+          ratio * offsetX,
+          ratio * offsetY
+        )
+    })
+
+    if (this.wrapper) {
+      this.wrapper.style.width = `${width}px`
+      this.wrapper.style.height = `${height}px`
+    }
+  }
+
+  /**
+   * 生成导出用的canvas，按需合成背景层与笔迹层
+   * @param {Object} options 导出选项，同getDataUrl，默认按逻辑尺寸导出
+   */
+  _getExportCanvas(options = {}) {
+    const { includeBackground = true, resolution = 'logical' } = options
+    const ratio = resolution === 'physical' ? this.pixelRatio : 1
+
+    const region = this._getExportRegion(options)
+    const [width, height] = this._getExportSize(region, options)
+
+    // 导出区域映射到输出尺寸的变换
+    const scaleX = (width / region.width) * ratio
+    const scaleY = (height / region.height) * ratio
+    const transform = [
+      scaleX,
+      0,
+      0,
+      scaleY,
+      -region.x * scaleX,
+      -region.y * scaleY
+    ]
+
+    const canvas = this._makeCanvas(
+      Math.round(width * ratio),
+      Math.round(height * ratio)
+    )
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(...transform)
+    if (includeBackground) this._paintBg(ctx)
+
+    // 根据笔画重新绘制，不受视图缩放影响
+    // 笔迹单独绘制后再合成，避免橡皮擦擦除背景
+    const ink = this._makeCanvas(canvas.width, canvas.height)
+
+    const inkCtx = ink.getContext('2d')
+    inkCtx.setTransform(...transform)
+    this.strokes.forEach(stroke => drawStroke(inkCtx, stroke))
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.drawImage(ink, 0, 0)
+
+    return canvas
+  }
+
+  /**
+   * 根据当前状态生成导出内容的Blob，内容同步生成
+   * @param {String} type 图片类型，支持svg
+   * @param {Number} compressRate 压缩比率
+   * @param {Object} options 导出选项，同getDataUrl，默认按逻辑尺寸导出
+   */
+  _getExportBlob(type, compressRate, options) {
+    if (type === 'svg') {
+      return Promise.resolve(
+        new Blob([this.getSVG(options)], { type: 'image/svg+xml' })
+      )
+    }
+
+    if (compressRate < 0.3) compressRate = 0.3
+    if (compressRate > 1) compressRate = 1
+
+    const canvas = this._getExportCanvas(options)
+
+    // 无界面模式下的canvas(如node-canvas)不支持toBlob
+    if (!canvas.toBlob) {
+      const buffer = this._canvasToBuffer(canvas, type, compressRate)
+
+      if (!buffer) {
+        return Promise.reject(new Error(`当前环境不支持导出${type}格式图片`))
+      }
+
+      return Promise.resolve(new Blob([buffer], { type: getMimeType(type) }))
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(resolve, `image/${type}`, compressRate)
+    })
+  }
+
+  /**
+   * canvas转换为Buffer，用于无界面模式(如node-canvas)
+   * @param {Canvas} canvas canvas
+   * @param {String} type 图片类型
+   * @param {Number} compressRate 压缩比率
+   * @returns {Buffer} 不支持的图片类型(如webp)返回undefined
+   */
+  _canvasToBuffer(canvas, type, compressRate) {
+    const mimeType = getMimeType(type)
+
+    // 无界面模式下的canvas仅支持编码png、jpeg
+    if (!HEADLESS_MIME_TYPES.includes(mimeType)) return
+
+    if (canvas.toBuffer) {
+      return canvas.toBuffer(mimeType, { quality: compressRate })
+    }
+
+    // 不支持toBuffer时由dataURL转换
+    const base64 = canvas.toDataURL(mimeType, compressRate).split(',')[1]
+    return Buffer.from(base64, 'base64')
+  }
+
+  /**
+   * 获取导出区域(内容坐标)，超出画布的部分会被裁剪，区域为空时导出整个画布
+   * @param {Boolean} trim 是否裁剪到笔迹的外接矩形
+   * @param {Number} padding trim时四周的留白
+   * @param {Object} region 指定导出区域{x,y,width,height}，优先于trim
+   */
+  _getExportRegion({ trim = false, padding = 0, region } = {}) {
+    const canvasRegion = { x: 0, y: 0, width: this.width, height: this.height }
+
+    let area = canvasRegion
+
+    if (region) {
+      area = region
+    } else if (trim) {
+      const bounds = getStrokesBounds(this.strokes, this.ctx)
+      const space = typeof padding === 'number' && padding > 0 ? padding : 0
+
+      if (bounds) {
+        area = {
+          x: bounds.x - space,
+          y: bounds.y - space,
+          width: bounds.width + space * 2,
+          height: bounds.height + space * 2
+        }
+      }
+    }
+
+    // 取整并与画布求交集，避免边缘出现半像素
+    const left = Math.max(Math.floor(area.x), 0)
+    const top = Math.max(Math.floor(area.y), 0)
+    const right = Math.min(Math.ceil(area.x + area.width), this.width)
+    const bottom = Math.min(Math.ceil(area.y + area.height), this.height)
+
+    if (!(right > left && bottom > top)) return canvasRegion
+
+    return { x: left, y: top, width: right - left, height: bottom - top }
+  }
+
+  /**
+   * 获取导出尺寸(逻辑像素)
+   * 同时指定宽高时拉伸至该尺寸，只指定其一时保持比例，均未指定时按scale缩放
+   * @param {Object} region 导出区域
+   * @param {Number} scale 缩放比例
+   * @param {Number} width 目标宽度
+   * @param {Number} height 目标高度
+   */
+  _getExportSize(region, { scale = 1, width, height } = {}) {
+    const isLawful = value => typeof value === 'number' && value > 0
+
+    if (isLawful(width) && isLawful(height)) return [width, height]
+
+    if (isLawful(width)) {
+      return [width, (region.height * width) / region.width]
+    }
+
+    if (isLawful(height)) {
+      return [(region.width * height) / region.height, height]
+    }
+
+    const ratio = isLawful(scale) ? scale : 1
+
+    return [region.width * ratio, region.height * ratio]
+  }
+
+  /**
+   * 获取绘图上下文
+   */
+  _getCtx() {
+    return this.el && this.el.getContext && this.el.getContext('2d')
+  }
+
+  /**
+   * 单步撤销
+   */
+  _revoke() {
+    if (!this.ctx || !this.revokeStack || !this.revokeStack.length) return
+
+    const snapshot = this.revokeStack.pop()
+    const { type } = snapshot
+
+    if (this.collaborative) {
+      this.redoStack.push(this._applyChangeEntry(snapshot, true))
+    } else {
+      // 保存撤销前的状态，供重做使用
+      this.redoStack.push(this._getSnapshot(type))
+
+      // 恢复笔画及绘制次数
+      this._restoreSnapshot(snapshot)
+    }
+
+    this._triggerHistoryChange()
+
+    this._announceHistory('已撤销')
+
+    this._scheduleAutosave()
+
+    this._emitter.emit('revoke', { type, paintCount: this.paintCount })
+  }
+
+  /**
+   * 单步重做
+   */
+  _redo() {
+    if (!this.ctx || !this.redoStack || !this.redoStack.length) return
+
+    const snapshot = this.redoStack.pop()
+    const { type } = snapshot
+
+    if (this.collaborative) {
+      this._pushRevokeStack(this._applyChangeEntry(snapshot, false))
+    } else {
+      // 保存重做前的状态，供撤销使用
+      this._pushRevokeStack(this._getSnapshot(type))
+
+      this._restoreSnapshot(snapshot)
+    }
+
+    this._triggerHistoryChange()
+
+    this._announceHistory('已重做')
+
+    this._scheduleAutosave()
+
+    this._emitter.emit('redo', { type, paintCount: this.paintCount })
+  }
+
+  /**
+   * 加载背景图，再次加载时之前未完成的加载会被取消
+   * @param {String} imgURL 图片url或base64
+   */
+  _loadBgImg(imgURL) {
+    return new Promise((resolve, reject) => {
+      let isAborted = false
+
+      const abort = () => {
+        isAborted = true
+
+        const err = new Error('背景图加载已取消')
+        err.name = 'AbortError'
+        reject(err)
+      }
+      const settle = callback => result => {
+        if (isAborted) return
+        if (this._bgLoadAbort === abort) this._bgLoadAbort = null
+        callback(result)
+      }
+
+      this._bgLoadAbort = abort
+
+      this._getImageFromURL(imgURL).then(settle(resolve), settle(reject))
+    })
+  }
+
+  /**
+   * 取消尚未完成的背景图加载，对应的Promise以AbortError拒绝
+   */
+  _abortBgLoad() {
+    this._bgLoadAbort && this._bgLoadAbort()
+    this._bgLoadAbort = null
+  }
+
+  /**
+   * 等待背景图加载结束(无论成功与否)，导出前使用
+   */
+  _waitForBgLoad() {
+    return this.ready().catch(() => {})
+  }
+
+  /**
+   * 从url获取图片
+   * @param {String} imgURL 图片url，支持base64
    */
   _getImageFromURL(imgURL) {
+    // 传入imageLoader时由其加载，url格式由其校验
+    if (this.imageLoader) {
+      return new Promise(resolve => resolve(this.imageLoader(imgURL)))
+    }
+
     return new Promise((resolve, reject) => {
+      if (typeof Image === 'undefined') {
+        reject(new Error('当前环境不支持加载图片，请传入imageLoader'))
+        return
+      }
+
       if (!/^(http[s]?)|(data:image)/.test(imgURL)) {
         reject(new Error('图片url格式不正确'))
         return
       }
 
-      const image = new Image()
-      image.src = imgURL
+      const image = new Image()
+      image.src = imgURL
+
+      image.onload = () => {
+        resolve(image)
+      }
+
+      image.onerror = reject
+
+      // 确保从缓存加载图片时，也能触发load事件
+      if (image.complete || image.complete === undefined) {
+        image.src =
+          'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///ywAAAAAAQABAAACAUwAOw=='
+        image.src = imgURL
+      }
+    })
+  }
+
+  /**
+   * 绘制背景底图
+   * @param {CanvasRenderingContext2D} ctx 绘图上下文
+   * @param {CanvasImageSource} imgObject 图像对象
+   * @param {Number} w 宽
+   * @param {Number} h 高
+   */
+  _drawBg(ctx, imgObject, w, h) {
+    if (!imgObject || !ctx || !ctx.drawImage || !w || !h || w <= 0 || h <= 0) {
+      return
+    }
+
+    const sx = 0
+    const sy = 0
+    const sWidth = w
+    const sHeight = h
+
+    const { dx, dy, dWidth, dHeight, frame } = this._getBgImgRect()
+
+    ctx.save()
+
+    ctx.translate(this.width / 2, this.height / 2)
+    ctx.rotate((Math.PI / 180) * this.bgImgRotate)
+
+    // cover、none模式下图片可能超出版面，需裁剪
+    ctx.beginPath()
+    ctx.rect(frame.x, frame.y, frame.width, frame.height)
+    ctx.clip()
+
+    ctx.drawImage(imgObject, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)
+
+    ctx.restore()
+  }
+
+  /**
+   * 获取背景图版面尺寸(旋转前)，背景图在版面内按bgImgFit适配
+   * 未记录时由画布尺寸推算，旋转角度接近90、270度时宽高互换
+   * @param {Object} state 页面状态，默认为当前页
+   */
+  _getBgImgFrame(state = this) {
+    const { width, height, bgImgRotate, _bgImgFrame } = state
+
+    if (_bgImgFrame) return _bgImgFrame
+
+    const isQuarterTurn = Math.round(bgImgRotate / 90) % 2 === 1
+
+    return isQuarterTurn ? [height, width] : [width, height]
+  }
+
+  /**
+   * 获取背景图绘制区域(相对画布中心，旋转前的坐标系)
+   * frame为版面区域，超出部分会被裁剪
+   */
+  _getBgImgRect() {
+    const [frameWidth, frameHeight] = this._getBgImgFrame()
+    const [imgWidth, imgHeight] = this.originalSize || []
+
+    let dWidth = frameWidth
+    let dHeight = frameHeight
+
+    if (this.bgImgFit !== 'fill' && imgWidth > 0 && imgHeight > 0) {
+      const scaleX = frameWidth / imgWidth
+      const scaleY = frameHeight / imgHeight
+      const scale =
+        this.bgImgFit === 'contain'
+          ? Math.min(scaleX, scaleY)
+          : this.bgImgFit === 'cover'
+          ? Math.max(scaleX, scaleY)
+          : 1
+
+      dWidth = imgWidth * scale
+      dHeight = imgHeight * scale
+    }
+
+    // 对齐方式对应的剩余空间比例
+    const ALIGN_RATIO = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 }
+
+    return {
+      dx:
+        -frameWidth / 2 + (frameWidth - dWidth) * ALIGN_RATIO[this.bgImgAlignX],
+      dy:
+        -frameHeight / 2 +
+        (frameHeight - dHeight) * ALIGN_RATIO[this.bgImgAlignY],
+      dWidth,
+      dHeight,
+      frame: {
+        x: -frameWidth / 2,
+        y: -frameHeight / 2,
+        width: frameWidth,
+        height: frameHeight
+      }
+    }
+  }
+
+  /**
+   * 设置背景图适配模式及对齐方式，不合法的值忽略
+   * @param {String} fit 适配模式
+   * @param {String} alignX 水平对齐
+   * @param {String} alignY 垂直对齐
+   */
+  _setBgImgLayout({ fit, alignX, alignY }) {
+    if (DrawingBoard.BG_IMG_FIT_ENUM.includes(fit)) this.bgImgFit = fit
+    if (['left', 'center', 'right'].includes(alignX)) this.bgImgAlignX = alignX
+    if (['top', 'center', 'bottom'].includes(alignY)) this.bgImgAlignY = alignY
+  }
+
+  /**
+   * 获取SVG中背景图的链接
+   * @param {Boolean} embed 是否内嵌为base64
+   */
+  _getBgImgHref(embed) {
+    if (!this._bgImgObject) return ''
+
+    if (this.bgImgURL && (!embed || /^data:image/.test(this.bgImgURL))) {
+      return this.bgImgURL
+    }
+
+    if (!embed) return ''
+
+    // 跨域图片会污染canvas导致toDataURL报错，此时退化为链接
+    try {
+      const [w, h] = this.originalSize
+      const canvas = this._makeCanvas(w, h)
+      canvas.getContext('2d').drawImage(this._bgImgObject, 0, 0, w, h)
+      return canvas.toDataURL('image/png')
+    } catch (err) {
+      return this.bgImgURL || ''
+    }
+  }
+
+  /**
+   * 获取合法角度值，归一化到[0,360)(逆时针旋转角度记录为正值，-90度 记录为270；450记录为90)
+   * 保留两位小数，避免多次旋转累积浮点误差
+   * @param {Number} angle 角度
+   */
+  _getLawfulRotateAngle(angle) {
+    if (typeof angle !== 'number' || !isFinite(angle)) return
+    const tempAngle = Math.round((angle % 360) * 100) / 100
+    const newAngle = tempAngle < 0 ? tempAngle + 360 : tempAngle
+
+    // 可能存在-0及360
+    return Math.abs(newAngle % 360)
+  }
+
+  /**
+   * 获取笔画列表
+   */
+  getStrokes() {
+    return this.strokes.slice()
+  }
+
+  /**
+   * 添加一个笔画，作为一步操作记录历史，供自定义工具等使用
+   * 未指定的属性使用当前工具及画笔样式
+   * @param {Object} stroke 笔画{tool,color,width,points,...}
+   * @returns {Object} 添加的笔画
+   */
+  addStroke(stroke) {
+    if (!this.ctx || !stroke || !Array.isArray(stroke.points)) return
+
+    const result = {
+      ...createStroke({
+        tool: this.tool,
+        color: this.penColor,
+        width: this.penWidth
+      }),
+      ...stroke,
+      points: stroke.points.map(point => ({ ...point }))
+    }
+    if (this.userId && !result.userId) result.userId = this.userId
+
+    this._commitStroke(result)
+    this._finishPaint(result)
+
+    return result
+  }
+
+  /**
+   * 按原始书写节奏逐笔回放，回放期间不响应绘制
+   * @param {Object} options 回放选项 {speed:播放速度倍率，默认1；maxGap:笔画间最大停顿(ms)，默认1000}
+   * @returns {Object} 控制句柄 {pause,resume,seek,stop,getCurrentTime,duration,finished}
+   */
+  replay({ speed = 1, maxGap = 1000 } = {}) {
+    this._replay && this._replay.stop()
+
+    const rate = typeof speed === 'number' && speed > 0 ? speed : 1
+    const timeline = createReplayTimeline(this.strokes, maxGap)
+
+    let currentTime = 0
+    let lastFrameTime = null
+    let frameId = null
+    let isPaused = false
+    let resolveFinished = null
+    const finished = new Promise(resolve => {
+      resolveFinished = resolve
+    })
+
+    const render = () => {
+      if (!this.ctx) return
+
+      this._clearCtx(this.ctx)
+
+      getReplayStrokesAt(timeline, currentTime).forEach(stroke =>
+        drawStroke(this.ctx, stroke)
+      )
+    }
+
+    const tick = now => {
+      if (lastFrameTime != null) {
+        currentTime = Math.min(
+          currentTime + (now - lastFrameTime) * rate,
+          timeline.duration
+        )
+      }
+      lastFrameTime = now
+
+      render()
+
+      if (currentTime >= timeline.duration) {
+        handle.stop()
+        return
+      }
+
+      frameId = requestFrame(tick)
+    }
+
+    const isActive = () => this._replay === handle
+
+    const handle = {
+      duration: timeline.duration,
+      finished,
+      getCurrentTime: () => currentTime,
+      pause: () => {
+        if (!isActive() || isPaused) return
+
+        isPaused = true
+        cancelFrame(frameId)
+        frameId = null
+        lastFrameTime = null
+      },
+      resume: () => {
+        if (!isActive() || !isPaused) return
+
+        isPaused = false
+        frameId = requestFrame(tick)
+      },
+      seek: time => {
+        if (!isActive() || typeof time !== 'number' || isNaN(time)) return
+
+        currentTime = Math.min(Math.max(time, 0), timeline.duration)
+        lastFrameTime = null
+        render()
+      },
+      stop: () => {
+        if (!isActive()) return
+
+        cancelFrame(frameId)
+        frameId = null
+        this._replay = null
+
+        // 恢复完整画面
+        this._renderInk()
+
+        resolveFinished()
+      }
+    }
+
+    this._replay = handle
+    frameId = requestFrame(tick)
+
+    return handle
+  }
+
+  /**
+   * 获取当前画面的绘制次数
+   */
+  getPaintCount() {
+    return this.paintCount
+  }
+
+  /**
+   * 旋转，笔迹随背景一起旋转，可撤销
+   * @param {Boolean} direction 方向 1顺时针 -1逆时针
+   */
+  rotate(direction = 1) {
+    if (![1, -1].includes(direction)) return
+
+    this.rotateTo(this.bgImgRotate + direction * 90)
+  }
+
+  /**
+   * 旋转到指定角度，支持任意角度，笔迹随背景一起旋转，可撤销
+   * 画布按rotateMode扩大或裁剪，90度整数倍时宽高互换
+   * @param {Number} angle 角度，顺时针为正
+   */
+  rotateTo(angle) {
+    const newAngle = this._getLawfulRotateAngle(angle)
+
+    if (newAngle == null || newAngle === this.bgImgRotate) return
+
+    // 旋转前保存状态，旋转可被撤销
+    this._saveSnapshot('rotate')
+
+    // 取最近的旋转方向，范围(-180,180]
+    let delta = newAngle - this.bgImgRotate
+    if (delta > 180) delta -= 360
+    if (delta <= -180) delta += 360
+
+    const oldSize = [this.width, this.height]
+    const frame = this._getBgImgFrame()
+
+    this.bgImgRotate = newAngle
+
+    const size = this._getRotatedSize(frame, newAngle)
+
+    this.setSize(size)
+    // 重设尺寸会重置版面，需保持旋转前的版面
+    this._bgImgFrame = frame
+
+    // 笔迹随背景一起旋转
+    this.strokes = this.strokes.map(stroke =>
+      rotateStroke(stroke, delta, oldSize, size)
+    )
+
+    this._render()
+
+    this._emitOperation('rotate', { angle: this.bgImgRotate })
+
+    this._scheduleAutosave()
+
+    this._announceHistory(`已旋转至${this.bgImgRotate}度`)
+
+    this._emitter.emit('rotate', {
+      direction: delta > 0 ? 1 : -1,
+      angle: this.bgImgRotate
+    })
+  }
+
+  /**
+   * 获取版面旋转后的画布尺寸
+   * expand时为版面旋转后的外接矩形，clip时为最接近的90度整数倍对应的尺寸
+   * @param {Array} frame 版面尺寸[宽, 高]
+   * @param {Number} angle 旋转角度
+   * @returns {Array} 画布尺寸[宽, 高]
+   */
+  _getRotatedSize([frameWidth, frameHeight], angle) {
+    if (this.rotateMode === 'expand') {
+      const rad = (Math.PI / 180) * angle
+      const cos = Math.abs(Math.cos(rad))
+      const sin = Math.abs(Math.sin(rad))
+
+      return [
+        Math.round(frameWidth * cos + frameHeight * sin),
+        Math.round(frameWidth * sin + frameHeight * cos)
+      ]
+    }
+
+    const isQuarterTurn = Math.round(angle / 90) % 2 === 1
+
+    return isQuarterTurn ? [frameHeight, frameWidth] : [frameWidth, frameHeight]
+  }
+
+  /**
+   * 设置画笔样式(粗细、颜色、笔锋粗细范围、图形填充色)
+   * @param {Object} penStyle 画笔样式
+   */
+  setPenStyle({ color, width, minWidth, maxWidth, fillColor }) {
+    if (color && typeof color === 'string') this.penColor = color
+    if (width && typeof width === 'number' && !isNaN(width) && width > 0) {
+      this.penWidth = width
+    }
+    // 笔锋效果的粗细范围
+    if (
+      minWidth &&
+      typeof minWidth === 'number' &&
+      !isNaN(minWidth) &&
+      minWidth > 0
+    ) {
+      this.minPenWidth = minWidth
+    }
+    if (
+      maxWidth &&
+      typeof maxWidth === 'number' &&
+      !isNaN(maxWidth) &&
+      maxWidth >= this.minPenWidth
+    ) {
+      this.maxPenWidth = maxWidth
+    }
+    // 图形填充色，传空字符串取消填充
+    if (typeof fillColor === 'string') this.fillColor = fillColor
+  }
+
+  /**
+   * 设置笔迹模式(平滑、点抽稀、笔锋)，只影响之后绘制的笔画
+   * @param {Object} strokeMode 笔迹模式
+   */
+  setStrokeMode({ smoothing, minPointDistance, velocityWidth }) {
+    if (typeof smoothing === 'boolean') this.smoothing = smoothing
+    if (
+      typeof minPointDistance === 'number' &&
+      !isNaN(minPointDistance) &&
+      minPointDistance >= 0
+    ) {
+      this.minPointDistance = minPointDistance
+    }
+    if (typeof velocityWidth === 'boolean') this.velocityWidth = velocityWidth
+  }
+
+  /**
+   * 设置工具
+   * @param {String} tool 工具 enum:['pen','eraser','line','rect','ellipse','arrow','text','select']或registerTool注册的工具
+   */
+  setTool(tool) {
+    if (!DrawingBoard.TOOL_ENUM.includes(tool) && !getTool(tool)) return
+
+    // 切换工具时提交正在编辑的文字
+    tool !== 'text' && this._commitTextEditor()
+    // 离开选择工具时取消选择
+    tool !== 'select' && this.clearSelection()
+
+    this.tool = tool
+    this._applyToolCursor()
+  }
+
+  /**
+   * 设置选择方式
+   * @param {String} mode 选择方式 enum:['rect','lasso']
+   */
+  setSelectMode(mode) {
+    if (!DrawingBoard.SELECT_MODE_ENUM.includes(mode)) return
+
+    this.selectMode = mode
+  }
+
+  /**
+   * 获取选中的笔画
+   * @returns {Array}
+   */
+  getSelection() {
+    return this._getSelectedStrokes()
+  }
+
+  /**
+   * 选中指定笔画，橡皮擦笔画会被忽略
+   * @param {Array} ids 笔画id列表
+   */
+  selectStrokes(ids = []) {
+    this._makeOverlay()
+
+    this._setSelection(
+      this._getSelectableStrokes()
+        .filter(({ id }) => ids.includes(id))
+        .map(({ id }) => id)
+    )
+  }
+
+  /**
+   * 取消选择
+   */
+  clearSelection() {
+    if (!this._selectedIds || !this._selectedIds.length) return
+
+    this._setSelection([])
+  }
+
+  /**
+   * 删除选中的笔画
+   */
+  deleteSelection() {
+    this._editSelection(() => null, '已删除')
+  }
+
+  /**
+   * 移动选中的笔画
+   * @param {Number} dx 水平偏移
+   * @param {Number} dy 垂直偏移
+   */
+  moveSelection(dx = 0, dy = 0) {
+    if (!dx && !dy) return
+
+    this._editSelection(stroke => moveStroke(stroke, dx, dy))
+  }
+
+  /**
+   * 缩放选中的笔画
+   * @param {Number} scaleX 水平缩放比例
+   * @param {Number} scaleY 垂直缩放比例，默认与水平一致
+   * @param {Object} origin 缩放原点{x,y}，默认为选择框中心
+   */
+  scaleSelection(scaleX, scaleY = scaleX, origin) {
+    const bounds = this._getSelectionBounds()
+
+    if (!bounds || !scaleX || !scaleY) return
+
+    const center = origin || {
+      x: bounds.x + bounds.width / 2,
+      y: bounds.y + bounds.height / 2
+    }
+
+    this._editSelection(stroke => scaleStroke(stroke, center, scaleX, scaleY))
+  }
+
+  /**
+   * 修改选中笔画的颜色，已填充的图形同时修改填充色
+   * @param {String} color 颜色
+   */
+  recolorSelection(color) {
+    if (!color) return
+
+    this._editSelection(stroke =>
+      stroke.fill ? { ...stroke, color, fill: color } : { ...stroke, color }
+    )
+  }
+
+  /**
+   * 设置文字样式(字体、字号)，颜色使用画笔颜色
+   * @param {Object} fontStyle 文字样式
+   */
+  setFontStyle({ family, size }) {
+    if (family && typeof family === 'string') this.fontFamily = family
+    if (size && typeof size === 'number' && !isNaN(size) && size > 0) {
+      this.fontSize = size
+    }
+  }
+
+  /**
+   * 设置橡皮擦样式(粗细)
+   * @param {Object} eraserStyle 橡皮擦样式
+   */
+  setEraserStyle({ width }) {
+    if (width && typeof width === 'number' && !isNaN(width) && width > 0) {
+      this.eraserWidth = width
+    }
+  }
+
+  /**
+   * 设置快捷键，未传的操作保持默认快捷键
+   * @param {Object} bindings 快捷键{操作:快捷键|[快捷键]}，值为null时禁用该快捷键
+   */
+  setKeyBindings(bindings) {
+    this.keyBindings = mergeKeyBindings(bindings)
+  }
+
+  /**
+   * 撤销
+   */
+  revoke() {
+    this._revoke()
+  }
+
+  /**
+   * 重做
+   */
+  redo() {
+    this._redo()
+  }
+
+  /**
+   * 是否可撤销
+   */
+  canRevoke() {
+    return !!this.revokeStack && this.revokeStack.length > 0
+  }
+
+  /**
+   * 是否可重做
+   */
+  canRedo() {
+    return !!this.redoStack && this.redoStack.length > 0
+  }
+
+  /**
+   * 清空绘制
+   */
+  clear() {
+    if (!this.ctx || !this.el) return
+
+    // 清空前保存状态
+    this._saveSnapshot('clear')
+
+    const strokes = this.strokes
+    this.strokes = []
+
+    if (this.collaborative) {
+      this._recordChange('clear', { remove: strokes })
+      this._emitOperation('clear', {
+        changes: { remove: strokes.map(({ id }) => id) }
+      })
+    }
+
+    // 重置绘制次数
+    this.paintCount = 0
+
+    // 只清空笔迹层，背景层不受影响
+    this._renderInk()
+
+    this._announceHistory('已清空')
+
+    this._scheduleAutosave()
+
+    this._emitter.emit('clear', { strokes })
+  }
+
+  /**
+   * 设置canvas尺寸
+   * @param {Number} width 宽
+   * @param {Number} height 高
+   */
+  setSize([width, height]) {
+    if (width) this.width = width
+    if (height) this.height = height
+
+    // 背景图版面随画布尺寸推算
+    this._bgImgFrame = null
+
+    this._setDOMSize()
+
+    // 重设尺寸会清空画布，需要重新渲染
+    this._render()
+
+    this._emitAfterConstruct('resize', {
+      width: this.width,
+      height: this.height
+    })
+  }
+
+  /**
+   * 设置像素比，如窗口在不同像素比的屏幕间移动时
+   * @param {Number} ratio 像素比，不传则使用设备像素比
+   */
+  setPixelRatio(ratio) {
+    this.pixelRatio = this._getLawfulPixelRatio(ratio)
+
+    this._setDOMSize()
+
+    // 重设尺寸会清空画布，需要重新渲染
+    this._render()
+  }
+
+  /**
+   * 重新初始化
+   * @param {Object} options 选项
+   */
+  reInit(options) {
+    this._init(this.container, options || this.options)
+    this.mount()
+  }
+
+  /**
+   * 销毁
+   */
+  destroy() {
+    this._flushAutosave()
+    typeof window !== 'undefined' &&
+      window.removeEventListener &&
+      window.removeEventListener('pagehide', this._flushAutosaveBinded, false)
+    this._replay && this._replay.stop()
+    this._closeTextEditor()
+    this._unobserveContainer()
+    this._abortBgLoad()
+    this.disconnect()
+    this.el &&
+      this.el.removeEventListener &&
+      this.el.removeEventListener('keydown', this._handleKeydownBinded, false)
+    this._liveRegionEl = null
+    this.container && this.wrapper && this.container.removeChild(this.wrapper)
+    this.wrapper = null
+    this.el = null
+    this.ctx = null
+    this._bgEl = null
+    this._bgCtx = null
+    this._overlayEl = null
+    this._overlayCtx = null
+    this._bgImgObject = null
+
+    this._emitter.emit('destroy', {})
+  }
+
+  /**
+   * 销毁(兼容旧的拼写)
+   */
+  destory() {
+    this.destroy()
+  }
+
+  /**
+   * 监听事件
+   * @param {String} name 事件名，见EVENT_ENUM
+   * @param {Function} handler 回调，参数为事件数据
+   */
+  on(name, handler) {
+    this._emitter.on(name, handler)
+    return this
+  }
+
+  /**
+   * 取消监听，不传handler则取消该事件的全部监听，不传参数则取消全部监听
+   * @param {String} name 事件名
+   * @param {Function} handler 回调
+   */
+  off(name, handler) {
+    this._emitter.off(name, handler)
+    return this
+  }
+
+  /**
+   * 监听事件，触发一次后自动取消
+   * @param {String} name 事件名
+   * @param {Function} handler 回调
+   */
+  once(name, handler) {
+    this._emitter.once(name, handler)
+    return this
+  }
+
+  /**
+   * 设置样式名，作用于图层容器
+   * @param {String} name 样式类字符串
+   */
+  setClassName(name) {
+    if (!name || !this.wrapper) return
+    this.wrapper.className = name
+  }
+
+  /**
+   * 获取图层canvas
+   * @param {String} name 图层名 enum:['background','ink','overlay']
+   */
+  getLayer(name) {
+    if (name === 'background') return this._bgEl
+    if (name === 'ink') return this.el
+    if (name === 'overlay') {
+      this._makeOverlay()
+      return this._overlayEl
+    }
+  }
+
+  /**
+   * 清空预览层
+   */
+  clearOverlay() {
+    this._overlayCtx && this._clearCtx(this._overlayCtx)
+  }
+
+  /**
+   * 挂载
+   */
+  mount() {
+    if (this.headless) {
+      this._mountHeadless()
+      return
+    }
+
+    if (!this.wrapper) this.wrapper = this._makeWrapper()
+
+    // 背景层
+    if (!this._bgEl) {
+      this._bgEl = this._makeLayer(false)
+      this._bgCtx = this._bgEl.getContext && this._bgEl.getContext('2d')
+      this.wrapper.appendChild(this._bgEl)
+    }
+
+    // 笔迹层，负责响应交互
+    if (!this.el) {
+      this.el = this._makeLayer()
+      this.wrapper.appendChild(this.el)
+    }
+    if (!this.ctx) this.ctx = this._getCtx()
+
+    // pointer模式下禁止浏览器默认的触摸滚动、缩放，否则会触发pointercancel
+    this.el.style.touchAction = this.interactiveMode === 'pointer' ? 'none' : ''
+    this._applyToolCursor()
+
+    // 预览层
+    if (this.overlay) this._makeOverlay()
+
+    this._setupAccessibility()
+
+    this._setDOMSize()
+    this.setClassName(this.className)
+
+    // 重设尺寸会清空画布，需要重新渲染
+    this._render()
+
+    this._bindCurModeEvents({ action: 'start' })
+
+    this.container.appendChild(this.wrapper)
+
+    this._observeContainer()
+
+    this._emitAfterConstruct('mount', { wrapper: this.wrapper, el: this.el })
+  }
+
+  /**
+   * 无界面模式下挂载，只创建背景层、笔迹层用于渲染，不绑定交互事件
+   */
+  _mountHeadless() {
+    if (!this._bgEl) {
+      this._bgEl = this._makeCanvas()
+      this._bgCtx = this._bgEl.getContext('2d')
+    }
+
+    if (!this.el) this.el = this._makeCanvas()
+    if (!this.ctx) this.ctx = this._getCtx()
+
+    this._setDOMSize()
+    this._render()
+
+    this._emitAfterConstruct('mount', { wrapper: null, el: this.el })
+  }
+
+  /**
+   * 设置背景
+   * @param {CanvasImageSource|String} urlOrObject 需要绘制的图像对象(HTMLImageElement、SVGImageElement、HTMLVideoElement、HTMLCanvasElement、ImageBitmap、OffscreenCanvas)或图像url
+   * @param {Number} originalWidth 原图像宽度。当无法从urlOrObject直接获取原始尺寸时需要手动提供原始尺寸
+   * @param {Number} originalHeight 原图像高度
+   * @returns {Promise} 加载完成后resolve图像对象；加载失败时reject，被后续setBgImg取代时以AbortError reject
+   */
+  setBgImg(urlOrObject, originalWidth, originalHeight) {
+    // 取消尚未完成的加载，避免旧图片覆盖新图片
+    this._abortBgLoad()
+
+    if (typeof urlOrObject === 'string') {
+      // 图像对象无法序列化，只同步url
+      this._emitOperation('background', {
+        url: urlOrObject,
+        originalSize: [originalWidth, originalHeight]
+      })
+
+      // 从url中获取图片对象，url格式不正确时会触发bgerror
+      // 只处理加载本身的失败，渲染、事件回调中的错误不视为加载失败
+      const loading = this._loadBgImg(urlOrObject).then(
+        image => {
+          this._bgImgObject = image
+          // 保留原始尺寸，方便旋转时使用
+          this.originalSize = [
+            originalWidth || image.width,
+            originalHeight || image.height
+          ]
+          this.bgImgURL = urlOrObject
+          // 只重绘背景层，笔迹层不受影响
+          this._renderBg()
+
+          return image
+        },
+        err => {
+          // 被取代的加载不影响当前背景，也不触发bgerror
+          if (err.name === 'AbortError') throw err
+
+          // 与显示保持一致，失败后不再保留之前的背景图
+          this._bgImgObject = null
+          this.bgImgURL = ''
+          this._renderBg()
+
+          this._emitter.emit('bgerror', { error: err, url: urlOrObject })
+
+          throw err
+        }
+      )
+
+      // 加载处理完成后再触发bgload，回调抛错不影响加载结果
+      loading.then(
+        image =>
+          this._emitter.emit('bgload', {
+            image,
+            url: urlOrObject,
+            originalSize: this.originalSize
+          }),
+        () => {}
+      )
+
+      // 记录进行中的加载，供ready()及导出等待
+      this._bgLoading = loading
+      const clearLoading = () => {
+        if (this._bgLoading === loading) this._bgLoading = null
+      }
+      loading.then(clearLoading, clearLoading)
+
+      return loading
+    } else {
+      if (urlOrObject !== this._bgImgObject) this._bgImgObject = urlOrObject
+      const { naturalWidth, naturalHeight, width, height } = urlOrObject || {}
+      this.originalSize = [
+        originalWidth || naturalWidth || width || this.width,
+        originalHeight || naturalHeight || height || this.height
+      ]
+      this.bgImgURL = ''
+      this._renderBg()
+
+      this._emitter.emit('bgload', {
+        image: urlOrObject,
+        url: '',
+        originalSize: this.originalSize
+      })
+
+      return Promise.resolve(urlOrObject)
+    }
+  }
+
+  /**
+   * 等待背景图加载完成，加载被取代时等待最新的加载
+   * @returns {Promise} 就绪后resolve实例，背景图加载失败时reject
+   */
+  ready() {
+    const loading = this._bgLoading
+
+    if (!loading) return Promise.resolve(this)
+
+    return loading.then(
+      () => this,
+      err => {
+        if (err.name === 'AbortError') return this.ready()
+        throw err
+      }
+    )
+  }
+
+  /**
+   * 移除背景图，保留背景色及笔迹
+   */
+  removeBgImg() {
+    this._emitOperation('background', { url: '' })
+
+    this._abortBgLoad()
+    this._bgImgObject = null
+    this.bgImgURL = ''
+    this._renderBg()
+  }
+
+  /**
+   * 设置背景色
+   * @param {String} color 背景色，传空字符串则背景透明
+   */
+  setBgColor(color) {
+    if (typeof color !== 'string') return
+    this.bgColor = color
+    this._renderBg()
+
+    this._emitOperation('background', { color })
+  }
+
+  /**
+   * 设置背景图适配模式及对齐方式
+   * @param {String} fit 适配模式 enum:['contain','cover','fill','none']
+   * @param {String} alignX 水平对齐 enum:['left','center','right']
+   * @param {String} alignY 垂直对齐 enum:['top','center','bottom']
+   */
+  setBgImgFit(fit, { alignX, alignY } = {}) {
+    this._setBgImgLayout({ fit, alignX, alignY })
+    this._renderBg()
+  }
+
+  /**
+   * 序列化为JSON对象，可用于保存后再通过loadJSON恢复编辑
+   * 背景图仅在通过url设置时才会被保存
+   */
+  toJSON() {
+    return {
+      version: SCHEMA_VERSION,
+      size: [this.width, this.height],
+      background: {
+        url: this.bgImgURL || '',
+        rotate: this.bgImgRotate,
+        fit: this.bgImgFit,
+        align: [this.bgImgAlignX, this.bgImgAlignY],
+        frame: this._bgImgFrame || null,
+        color: this.bgColor,
+        originalSize:
+          this.bgImgURL && this.originalSize ? this.originalSize : []
+      },
+      strokes: this.strokes.map(cloneStroke),
+      paintCount: this.paintCount
+    }
+  }
+
+  /**
+   * 从JSON恢复绘图，会清空撤销、重做历史
+   * @param {Object|String} json toJSON生成的对象或其字符串
+   */
+  loadJSON(json) {
+    const data = migrate(typeof json === 'string' ? JSON.parse(json) : json)
+
+    const {
+      size = [],
+      background = {},
+      strokes = [],
+      paintCount = strokes.length
+    } = data
+
+    if (!Array.isArray(strokes)) throw new Error('绘图数据格式不正确')
+
+    const {
+      url = '',
+      rotate = 0,
+      fit,
+      align = [],
+      frame,
+      color,
+      originalSize = []
+    } = background
+
+    this.bgImgRotate = this._getLawfulRotateAngle(rotate) || 0
+    this.setSize(size)
+    if (Array.isArray(frame) && frame.length === 2) this._bgImgFrame = frame
 
-      image.onload = () => {
-        resolve(image)
-      }
+    if (typeof color === 'string') this.bgColor = color
+    this._setBgImgLayout({ fit, alignX: align[0], alignY: align[1] })
 
-      image.onerror = reject
+    // 笔画被替换，取消选择
+    this._selectDrag = null
+    this.clearSelection()
 
-      // 确保从缓存加载图片时，也能触发load事件
-      if (image.complete || image.complete === undefined) {
-        image.src =
-          'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///ywAAAAAAQABAAACAUwAOw=='
-        image.src = imgURL
-      }
+    this.strokes = strokes.map(cloneStroke)
+    this.paintCount = paintCount
+
+    this.revokeStack = []
+    this.redoStack = []
+    this._triggerHistoryChange()
+
+    // 先移除原背景图，新背景图加载完成后再绘制
+    this._bgImgObject = null
+    this.bgImgURL = ''
+    this._render()
+
+    // 加载失败已通过bgerror通知，可通过ready()获取加载结果
+    this._abortBgLoad()
+    if (url) this.setBgImg(url, ...originalSize).catch(() => {})
+  }
+
+  /**
+   * 从自动保存的记录恢复所有页面，会清空撤销、重做历史
+   * @returns {Promise<Boolean>} 是否已恢复，无记录或已过期时为false
+   */
+  restore() {
+    if (!this.autosave) return Promise.resolve(false)
+
+    const { storage, key, expires } = this.autosave
+
+    return readEntry(storage, key, expires).then(entry => {
+      if (!entry) return false
+
+      this._cancelAutosave()
+
+      const { data } = entry
+      // 兼容只保存了单页数据(toJSON)的旧记录
+      Array.isArray(data.pages)
+        ? this._loadPagesJSON(data)
+        : this.loadJSON(data)
+
+      return true
     })
   }
 
   /**
-   * 绘制背景底图
-   * @param {CanvasImageSource} imgObject 图像对象
-   * @param {Number} w 宽
-   * @param {Number} h 高
+   * 获取所有页面的绘图数据
+   * @returns {Object} {pageIndex,pages:[{id,...toJSON}]}
    */
-  _drawBg(imgObject, w, h) {
-    if (
-      !imgObject ||
-      !this.ctx ||
-      !this.ctx.drawImage ||
-      !w ||
-      !h ||
-      w <= 0 ||
-      h <= 0
-    ) {
-      return
+  _getPagesJSON() {
+    this._syncCurrentPage()
+
+    return {
+      pageIndex: this._pageIndex,
+      pages: this._pages.map((page, index) => ({
+        ...this._withPage(index, () => this.toJSON()),
+        id: page.id
+      }))
     }
+  }
 
-    const sx = 0
-    const sy = 0
-    const sWidth = w
-    const sHeight = h
+  /**
+   * 从所有页面的绘图数据恢复，会替换现有页面并清空撤销、重做历史
+   * @param {Object} data _getPagesJSON生成的数据
+   */
+  _loadPagesJSON({ pageIndex = 0, pages }) {
+    if (!pages.length) return
 
-    const dx =
-      this.bgImgRotate === 0 || this.bgImgRotate === 180
-        ? -this.width / 2
-        : -this.height / 2
-    const dy =
-      this.bgImgRotate === 0 || this.bgImgRotate === 180
-        ? -this.height / 2
-        : -this.width / 2
-
-    const dWidth =
-      this.bgImgRotate === 0 || this.bgImgRotate === 180
-        ? this.width
-        : this.height
-    const dHeight =
-      this.bgImgRotate === 0 || this.bgImgRotate === 180
-        ? this.height
-        : this.width
+    this._closeTextEditor()
+    this._replay && this._replay.stop()
 
-    this.ctx.save()
+    this._pages = pages.map(({ id }) => ({ id: id || createPageId() }))
 
-    this.ctx.translate(this.width / 2, this.height / 2)
-    this.ctx.rotate((Math.PI / 180) * this.bgImgRotate)
-
-    console.log(
-      '旋转参数:',
-      sx,
-      sy,
-      sWidth,
-      sHeight,
-      dx,
-      dy,
-      dWidth,
-      dHeight,
-      this.bgImgRotate
-    )
+    pages.forEach((page, index) => {
+      this._pageIndex = index
+      this.loadJSON(page)
 
-    this.ctx.drawImage(
-      imgObject,
-      sx,
-      sy,
-      sWidth,
-      sHeight,
-      dx,
-      dy,
-      dWidth,
-      dHeight
-    )
+      // 非当前页只记录背景图url，切换到该页或导出时再加载
+      const { url = '', originalSize = [] } = page.background || {}
+      this._abortBgLoad()
+      this.bgImgURL = url
+      this.originalSize = originalSize.length ? originalSize : null
 
-    this.ctx.restore()
+      this._syncCurrentPage()
+    })
+
+    this._pageIndex = pages[pageIndex] ? pageIndex : 0
+    this.loadJSON(pages[this._pageIndex])
   }
 
   /**
-   * 获取合法角度值(逆时针旋转角度记录为正值，-90度 记录为270；450记录为90,10度记录为0,55度记录为90)
-   * @param {Number} angle 角度
+   * 删除自动保存的记录
+   * @returns {Promise}
    */
-  _getLawfulRotateAngle(angle) {
-    if (typeof angle !== 'number' || isNaN(angle)) return
-    const tempAngle = angle % 360
-    const newAngle = tempAngle < 0 ? tempAngle + 360 : tempAngle
-    // 角度>=45，计入下一个90度，保证返回的角度 % 90 ===0
-    const roundAngle =
-      newAngle % 90 >= 45
-        ? (Math.ceil(newAngle / 90) * 90) % 360
-        : (Math.floor(newAngle / 90) * 90) % 360
+  clearAutosave() {
+    if (!this.autosave) return Promise.resolve()
 
-    // 可能存在-0
-    return Math.abs(roundAngle)
+    this._cancelAutosave()
+    return this.autosave.storage.removeItem(this.autosave.key)
   }
 
   /**
-   * 获取当前画面的绘制次数
+   * 将当前页的状态同步到页面列表
    */
-  getPaintCount() {
-    return this.paintCount
+  _syncCurrentPage() {
+    const page = this._pages[this._pageIndex]
+
+    this._pages[this._pageIndex] = { id: page.id, ...pickPageState(this) }
   }
 
   /**
-   * 旋转
-   * @param {Boolean} direction 方向 1顺时针 -1逆时针
+   * 将页面状态应用到实例上并重新渲染，背景图未加载时开始加载
+   * @param {Object} page 页面
    */
-  rotate(direction = 1) {
-    if (![1, -1].includes(direction)) return
+  _applyPage(page) {
+    this._abortBgLoad()
 
-    this.bgImgRotate = this._getLawfulRotateAngle(
-      this.bgImgRotate + direction * 90
-    )
+    // 选中的笔画属于原页面
+    this._selectDrag = null
+    this.clearSelection()
 
-    // 重设尺寸，旋转90度，宽高互换即可
-    this.setSize([this.height, this.width])
+    Object.assign(this, pickPageState(page))
 
-    this._drawBg(this._bgImgObject, ...this.originalSize)
+    this._setDOMSize()
+    this._render()
 
-    // 因为旋转操作不记录到撤销栈中
-    // 旋转时需要清空撤销栈并重置绘制数量，不然会导致撤销状态错误
-    this.paintCount = 0
-    this.revokeStack = []
+    if (this.bgImgURL && !this._bgImgObject) {
+      // 加载已有的背景图不是新的修改，不发出协作操作
+      const isMuted = this._isOperationMuted
+      this._isOperationMuted = true
+      this.setBgImg(this.bgImgURL, ...(this.originalSize || [])).catch(() => {})
+      this._isOperationMuted = isMuted
+    }
+
+    this._triggerHistoryChange()
   }
 
   /**
-   * 设置画笔样式(粗细、颜色)
-   * @param {Object} penStyle 画笔样式
+   * 临时切换到指定页面的状态执行同步操作(如生成导出内容)，执行后恢复，不触发渲染
+   * @param {Number} index 页码，从0开始
+   * @param {Function} fn 操作
    */
-  setPenStyle({ color, width }) {
-    if (color && typeof color === 'string') this.penColor = color
-    if (width && typeof width === 'number' && !isNaN(width) && width > 0) {
-      this.penWidth = width
+  _withPage(index, fn) {
+    if (index === this._pageIndex) return fn()
+
+    const current = pickPageState(this)
+    Object.assign(this, pickPageState(this._pages[index]))
+
+    try {
+      return fn()
+    } finally {
+      Object.assign(this, current)
     }
   }
 
   /**
-   * 撤销
+   * 加载非当前页的背景图，加载结果保存到页面中，失败时忽略背景图
+   * @param {Number} index 页码，从0开始
    */
-  revoke() {
-    this._revoke()
+  _loadPageBg(index) {
+    const page = this._pages[index]
+
+    if (index === this._pageIndex || !page.bgImgURL || page._bgImgObject) {
+      return Promise.resolve()
+    }
+
+    return this._getImageFromURL(page.bgImgURL).then(
+      image => {
+        page._bgImgObject = image
+        if (!page.originalSize) page.originalSize = [image.width, image.height]
+      },
+      () => {}
+    )
   }
 
   /**
-   * 清空绘制
+   * 添加页面，新页面使用当前页旋转前的尺寸，不会切换到新页面
+   * @param {CanvasImageSource|String} bg 背景图url或图像对象，同setBgImg，不传则为空白页
+   * @param {Number} index 插入位置，默认添加到最后
+   * @returns {Number} 新页面的页码
    */
-  clear() {
-    if (!this.ctx || !this.el) return
+  addPage(bg, index = this._pages.length) {
+    if (typeof index !== 'number' || index < 0 || index > this._pages.length) {
+      index = this._pages.length
+    }
 
-    // 清空前保存状态
-    this._saveImageData(
-      'clear',
-      this.paintCount,
-      this.ctx.getImageData(0, 0, this.width, this.height)
-    )
+    const [width, height] = this._getBgImgFrame()
+    const image = bg && typeof bg !== 'string' ? bg : null
+
+    const page = {
+      ...pickPageState(this),
+      id: createPageId(),
+      width,
+      height,
+      bgImgURL: typeof bg === 'string' ? bg : '',
+      _bgImgObject: image,
+      originalSize: image
+        ? [
+            image.naturalWidth || image.width,
+            image.naturalHeight || image.height
+          ]
+        : null,
+      bgImgRotate: 0,
+      _bgImgFrame: null,
+      strokes: [],
+      paintCount: 0,
+      revokeStack: [],
+      redoStack: []
+    }
 
-    this.ctx.clearRect(0, 0, this.width, this.height)
+    this._pages.splice(index, 0, page)
+    if (index <= this._pageIndex) this._pageIndex++
 
-    // 重置绘制次数
-    this.paintCount = 0
+    // 图像对象无法序列化，只同步url
+    this._emitOperation('addpage', {
+      pageId: page.id,
+      index,
+      url: page.bgImgURL,
+      originalSize: page.originalSize || []
+    })
+
+    return index
+  }
+
+  /**
+   * 删除页面，至少保留一页；删除当前页时切换到相邻页面
+   * @param {Number} index 页码，从0开始，默认当前页
+   * @returns {Boolean} 是否删除成功
+   */
+  removePage(index = this._pageIndex) {
+    if (
+      this._pages.length <= 1 ||
+      typeof index !== 'number' ||
+      !this._pages[index]
+    ) {
+      return false
+    }
+
+    this._emitOperation('removepage', { pageId: this._pages[index].id })
+
+    if (index !== this._pageIndex) {
+      this._pages.splice(index, 1)
+      if (index < this._pageIndex) this._pageIndex--
+      return true
+    }
 
-    // 如果有背景图，则需要重新绘制背景图
-    this._bgImgObject && this._drawBg(this._bgImgObject, ...this.originalSize)
+    this._closeTextEditor()
+    this._replay && this._replay.stop()
 
-    console.log('clear paintCount', this.paintCount)
+    const previousIndex = this._pageIndex
+    this._pages.splice(index, 1)
+    this._pageIndex = Math.min(index, this._pages.length - 1)
+    this._applyPage(this._pages[this._pageIndex])
+
+    this._emitter.emit('pagechange', {
+      index: this._pageIndex,
+      previousIndex,
+      removed: true
+    })
+
+    return true
   }
 
   /**
-   * 设置canvas尺寸
-   * @param {Number} width 宽
-   * @param {Number} height 高
+   * 切换到指定页面，各页的背景、旋转、笔画及历史记录相互独立
+   * @param {Number} index 页码，从0开始
    */
-  setSize([width, height]) {
-    if (width) this.width = width
-    if (height) this.height = height
+  goToPage(index) {
+    if (
+      typeof index !== 'number' ||
+      !this._pages[index] ||
+      index === this._pageIndex ||
+      this.isPainting
+    ) {
+      return
+    }
+
+    // 切换前提交正在编辑的文字，停止回放
+    this._commitTextEditor()
+    this._replay && this._replay.stop()
 
-    this._setDOMSize([width, height])
+    const previousIndex = this._pageIndex
+    this._syncCurrentPage()
+    this._pageIndex = index
+    this._applyPage(this._pages[index])
+
+    this._emitter.emit('pagechange', { index, previousIndex, removed: false })
   }
 
   /**
-   * 重新初始化
-   * @param {Object} options 选项
+   * 获取页面列表
+   * @returns {Array} [{id,index,current,size,bgImgURL,bgImgRotate,strokeCount,paintCount}]
    */
-  reInit(options) {
-    this._init(this.container, options || this.options)
-    this.mount()
+  getPages() {
+    this._syncCurrentPage()
+
+    return this._pages.map((page, index) => ({
+      id: page.id,
+      index,
+      current: index === this._pageIndex,
+      size: [page.width, page.height],
+      bgImgURL: page.bgImgURL || '',
+      bgImgRotate: page.bgImgRotate,
+      strokeCount: page.strokes.length,
+      paintCount: page.paintCount
+    }))
   }
 
   /**
-   * 销毁
+   * 获取当前页码，从0开始
    */
-  destory() {
-    this.container.removeChild(this.el)
-    this.el = null
-    this._bgImgObject = null
+  getPageIndex() {
+    return this._pageIndex
   }
 
   /**
-   * 设置样式名
-   * @param {String} name 样式类字符串
+   * 批量导出所有页面为File，文件名为name-页码
+   * @param {String} name 文件名
+   * @param {String} type 图片类型，支持svg
+   * @param {Number} compressRate 压缩比率
+   * @param {Object} options 导出选项，同getDataUrl，默认按逻辑尺寸导出
+   * @returns {Promise} resolve File列表，顺序与页面一致
    */
-  setClassName(name) {
-    if (!name || !this.el) return
-    this.el.className = name
+  exportPages(
+    name = 'drawingBoard',
+    type = 'png',
+    compressRate = 1,
+    options = {}
+  ) {
+    if (
+      type !== 'svg' &&
+      (!this.el ||
+        !DrawingBoard.IMG_TYPE_ENUM.includes(type) ||
+        typeof compressRate !== 'number' ||
+        isNaN(compressRate))
+    ) {
+      return
+    }
+
+    this._syncCurrentPage()
+
+    const pages = this._pages.map((page, index) => index)
+
+    return this._waitForBgLoad()
+      .then(() => Promise.all(pages.map(index => this._loadPageBg(index))))
+      .then(() =>
+        Promise.all(
+          pages.map(index =>
+            this._withPage(index, () =>
+              this._getExportBlob(type, compressRate, options)
+            ).then(blob => blob2File(blob, `${name}-${index + 1}`))
+          )
+        )
+      )
   }
 
   /**
-   * 挂载
+   * 应用远端的协作操作，自己发出的操作会被忽略
+   * 新加入的用户可先通过loadJSON同步完整数据，再应用后续操作
+   * 操作按pageId应用到对应页面，非当前页的修改保存在该页中
+   * @param {Object} op 操作，由operation事件或传输获得
+   * @returns {Boolean} 是否已应用
    */
-  mount() {
-    if (!this.el) this.el = this._makeCanvas()
-    if (!this.ctx) this.ctx = this._getCtx()
+  applyRemoteOperation(op) {
+    if (!op || typeof op !== 'object' || op.userId === this.userId) {
+      return false
+    }
 
-    this._setDOMSize([this.width, this.height])
-    this.setClassName(this.className)
+    const { type, pageId } = op
+    const isPageOperation = type === 'addpage' || type === 'removepage'
 
-    this._bindCurModeEvents({ action: 'start' })
+    // 未携带页面id的操作作用于当前页
+    const index =
+      pageId == null
+        ? this._pageIndex
+        : this._pages.findIndex(page => page.id === pageId)
+
+    if (!isPageOperation && index < 0) return false
+
+    this._isOperationMuted = true
 
-    this.container.appendChild(this.el)
+    let isApplied
+    try {
+      if (isPageOperation) {
+        isApplied = this._applyPageOperation(op, index)
+      } else {
+        isApplied =
+          index === this._pageIndex
+            ? this._applyOperation(op)
+            : this._applyOperationToPage(op, index)
+      }
+    } finally {
+      this._isOperationMuted = false
+    }
+
+    if (!isApplied) return false
+
+    this._emitter.emit('remoteoperation', op)
+
+    return true
   }
 
   /**
-   * 设置背景
-   * @param {CanvasImageSource|String} urlOrObject 需要绘制的图像对象(HTMLImageElement、SVGImageElement、HTMLVideoElement、HTMLCanvasElement、ImageBitmap、OffscreenCanvas)或图像url
-   * @param {Number} originalWidth 原图像宽度。当无法从urlOrObject直接获取原始尺寸时需要手动提供原始尺寸
-   * @param {Number} originalHeight 原图像高度
+   * 将远端操作应用到当前页
+   * @param {Object} op 操作
+   * @returns {Boolean} 是否为支持的操作
    */
-  setBgImg(urlOrObject, originalWidth, originalHeight) {
-    // TODO:此处可能需要保存状态
+  _applyOperation(op) {
+    const { type, changes, angle, url, originalSize = [], color } = op
+
     if (
-      typeof urlOrObject === 'string' &&
-      /^(http[s]?)|(data:image)/.test(urlOrObject)
+      ['stroke', 'clear', 'edit', 'revoke', 'redo'].includes(type) &&
+      changes
     ) {
-      // 从url中获取图片对象
-      this._getImageFromURL(urlOrObject)
-        .then(image => {
-          this._bgImgObject = image
-          this.originalSize = [
-            originalWidth || image.width,
-            originalHeight || image.height
-          ]
-          this._drawBg(image, ...this.originalSize)
-        })
-        .catch(err => {
-          console.log(err)
-          this._bgImgObject = null
-        })
+      const { add = [], remove = [] } = changes
+
+      this.strokes = applyStrokeChanges(this.strokes, {
+        add: add.map(cloneStroke),
+        remove
+      })
+      this._renderInk()
+    } else if (type === 'rotate') {
+      this.rotateTo(angle)
+    } else if (type === 'background') {
+      if (typeof url === 'string') {
+        url
+          ? this.setBgImg(url, ...originalSize).catch(() => {})
+          : this.removeBgImg()
+      }
+      if (typeof color === 'string') this.setBgColor(color)
     } else {
-      if (urlOrObject !== this._bgImgObject) this._bgImgObject = urlOrObject
-      this.originalSize = [
-        originalWidth || this.width,
-        originalHeight || this.height
-      ]
-      this._drawBg(urlOrObject, ...this.originalSize)
+      return false
     }
+
+    return true
   }
 
   /**
-   * 获取dataURL
-   * @param {String} type 图片类型
-   * @param {Number} compressRate 压缩比率
+   * 将远端操作应用到非当前页，应用后恢复当前页的显示
+   * @param {Object} op 操作
+   * @param {Number} index 页码
+   * @returns {Boolean} 是否为支持的操作
+   */
+  _applyOperationToPage(op, index) {
+    const page = this._pages[index]
+
+    // 背景图异步加载，只记录url，切换到该页或导出时再加载
+    if (op.type === 'background') {
+      const { url, originalSize = [], color } = op
+
+      if (typeof url === 'string') {
+        page.bgImgURL = url
+        page._bgImgObject = null
+        page.originalSize = url && originalSize.length ? originalSize : null
+      }
+      if (typeof color === 'string') page.bgColor = color
+
+      return true
+    }
+
+    // 直接旋转该页保存的状态，该页未显示，不触发事件、播报及自动保存
+    if (op.type === 'rotate') {
+      const newAngle = this._getLawfulRotateAngle(op.angle)
+
+      if (newAngle == null || newAngle === page.bgImgRotate) return true
+
+      // 取最近的旋转方向，范围(-180,180]
+      let delta = newAngle - page.bgImgRotate
+      if (delta > 180) delta -= 360
+      if (delta <= -180) delta += 360
+
+      const oldSize = [page.width, page.height]
+      const frame = this._getBgImgFrame(page)
+      const size = this._getRotatedSize(frame, newAngle)
+
+      page.width = size[0]
+      page.height = size[1]
+      page._bgImgFrame = frame
+      page.bgImgRotate = newAngle
+      page.strokes = page.strokes.map(stroke =>
+        rotateStroke(stroke, delta, oldSize, size)
+      )
+
+      return true
+    }
+
+    const current = pickPageState(this)
+    Object.assign(this, pickPageState(page))
+
+    try {
+      return this._applyOperation(op)
+    } finally {
+      this._pages[index] = { id: page.id, ...pickPageState(this) }
+      Object.assign(this, current)
+
+      // 应用过程中画布绘制的是该页内容，需重新渲染当前页
+      this._setDOMSize()
+      this._render()
+    }
+  }
+
+  /**
+   * 应用远端的添加、删除页面操作
+   * @param {Object} op 操作
+   * @param {Number} index 页面在本地的页码，不存在时为-1
+   * @returns {Boolean} 是否已应用
+   */
+  _applyPageOperation(op, index) {
+    const { type, pageId } = op
+
+    if (type === 'removepage') return index >= 0 && this.removePage(index)
+
+    if (index >= 0) return false
+
+    const { url, originalSize = [] } = op
+    const newIndex = this.addPage(url || undefined, op.index)
+    const page = this._pages[newIndex]
+
+    // 使用发起方的页面id，后续操作才能对应
+    page.id = pageId
+    if (url && originalSize.length) page.originalSize = originalSize
+
+    return true
+  }
+
+  /**
+   * 连接传输，本地操作通过传输发送，收到的操作自动应用，会断开之前的传输
+   * @param {Object} transport 传输，需实现send(op)、onMessage(handler)，可选实现close()
    */
-  getDataUrl(type = 'png', compressRate = 1) {
+  connect(transport) {
     if (
-      !this.el ||
-      !DrawingBoard.IMG_TYPE_ENUM.includes(type) ||
-      typeof compressRate !== 'number' ||
-      isNaN(compressRate)
+      !transport ||
+      typeof transport.send !== 'function' ||
+      typeof transport.onMessage !== 'function'
     ) {
       return
     }
 
-    if (compressRate < 0.3) compressRate = 0.3
-    if (compressRate > 1) compressRate = 1
+    this.disconnect()
 
-    const resourceType = `image/${type}`
+    // 开启协作模式，原有的快照历史无法按用户撤销，需清空
+    if (!this.collaborative) {
+      this.collaborative = true
+      this.revokeStack = []
+      this.redoStack = []
+      this._triggerHistoryChange()
+    }
+    if (!this.userId) this.userId = createCollabId('user')
 
-    return this.el.toDataURL(resourceType, compressRate)
+    this._transport = transport
+    this._unsubscribeTransport = transport.onMessage(op =>
+      this.applyRemoteOperation(op)
+    )
   }
 
   /**
-   * 获取Blob
-   * @param {String} type 图片类型
+   * 断开传输
+   */
+  disconnect() {
+    if (!this._transport) return
+
+    typeof this._unsubscribeTransport === 'function' &&
+      this._unsubscribeTransport()
+    typeof this._transport.close === 'function' && this._transport.close()
+
+    this._transport = null
+    this._unsubscribeTransport = null
+  }
+
+  /**
+   * 获取SVG字符串，笔画输出为path，分辨率无关
+   * @param {Object} options 导出选项 {includeBackground:是否包含背景，默认true；embedBackground:是否将背景图内嵌为base64，默认true，失败时退化为链接；trim、padding、region、scale、width、height同getDataUrl}
+   */
+  getSVG(options = {}) {
+    const { includeBackground = true, embedBackground = true } = options
+    const { dx, dy, dWidth, dHeight, frame } = this._getBgImgRect()
+    const href = includeBackground ? this._getBgImgHref(embedBackground) : ''
+
+    const region = this._getExportRegion(options)
+
+    return createSVG({
+      width: this.width,
+      height: this.height,
+      viewBox: region,
+      outputSize: this._getExportSize(region, options),
+      bgColor: includeBackground ? this.bgColor : '',
+      bgImage: href
+        ? {
+            href,
+            x: dx,
+            y: dy,
+            width: dWidth,
+            height: dHeight,
+            clip: frame,
+            transform: `translate(${this.width / 2} ${this.height /
+              2}) rotate(${this.bgImgRotate})`
+          }
+        : null,
+      strokes: this.strokes
+    })
+  }
+
+  /**
+   * 获取dataURL，同步执行，背景图加载中时需先等待ready()
+   * @param {String} type 图片类型，支持svg
    * @param {Number} compressRate 压缩比率
+   * @param {Object} options 导出选项
+   * {
+   *   includeBackground:是否包含背景，默认true，为false时png、webp背景透明
+   *   resolution:分辨率logical(逻辑尺寸，默认)或physical(实际像素，即尺寸*像素比)，svg忽略
+   *   trim:是否裁剪到笔迹的外接矩形，默认false
+   *   padding:trim时四周的留白，默认0
+   *   region:导出区域{x,y,width,height}，优先于trim
+   *   scale:缩放比例，默认1
+   *   width、height:导出尺寸，优先于scale，只指定其一时保持比例
+   * }
    */
-  getBlob(type = 'png', compressRate = 1) {
+  getDataUrl(type = 'png', compressRate = 1, options = {}) {
+    if (type === 'svg') {
+      return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+        this.getSVG(options)
+      )}`
+    }
+
     if (
       !this.el ||
       !DrawingBoard.IMG_TYPE_ENUM.includes(type) ||
@@ -853,30 +4219,96 @@ class DrawingBoard {
 
     const resourceType = `image/${type}`
 
-    return new Promise((resolve, reject) => {
-      this.el.toBlob(resolve, resourceType, compressRate)
-    })
+    return this._getExportCanvas(options).toDataURL(resourceType, compressRate)
   }
 
   /**
-   * 获取File
-   * @param {String} type 图片类型
+   * 获取Blob，背景图加载中时等待加载结束
+   * @param {String} type 图片类型，支持svg
    * @param {Number} compressRate 压缩比率
+   * @param {Object} options 导出选项，同getDataUrl，默认按逻辑尺寸导出
    */
-  getFile(name = 'drawingBoard', type = 'png', compressRate = 1) {
-    return this.getBlob(type, compressRate).then(blob => blob2File(blob, name))
+  getBlob(type = 'png', compressRate = 1, options = {}) {
+    if (
+      type !== 'svg' &&
+      (!this.el ||
+        !DrawingBoard.IMG_TYPE_ENUM.includes(type) ||
+        typeof compressRate !== 'number' ||
+        isNaN(compressRate))
+    ) {
+      return
+    }
+
+    return this._waitForBgLoad().then(() =>
+      this._getExportBlob(type, compressRate, options)
+    )
   }
 
   /**
-   * 下载图片
-   * @param {String} type 图片类型
+   * 获取File，背景图加载中时等待加载结束
+   * @param {String} name 文件名
+   * @param {String} type 图片类型，支持svg
+   * @param {Number} compressRate 压缩比率
+   * @param {Object} options 导出选项，同getDataUrl，默认按逻辑尺寸导出
+   */
+  getFile(name = 'drawingBoard', type = 'png', compressRate = 1, options = {}) {
+    return this.getBlob(type, compressRate, options).then(blob =>
+      blob2File(blob, name)
+    )
+  }
+
+  /**
+   * 获取Buffer，用于无界面模式(如Node中生成缩略图、PDF)，背景图加载中时等待加载结束
+   * @param {String} type 图片类型，支持svg
+   * @param {Number} compressRate 压缩比率
+   * @param {Object} options 导出选项，同getDataUrl，默认按逻辑尺寸导出
+   * @returns {Promise<Buffer>} 无界面模式下的canvas不支持的图片类型(如webp)返回undefined
+   */
+  toBuffer(type = 'png', compressRate = 1, options = {}) {
+    if (
+      typeof Buffer === 'undefined' ||
+      (type !== 'svg' &&
+        (!this.el ||
+          !DrawingBoard.IMG_TYPE_ENUM.includes(type) ||
+          typeof compressRate !== 'number' ||
+          isNaN(compressRate)))
+    ) {
+      return
+    }
+
+    if (compressRate < 0.3) compressRate = 0.3
+    if (compressRate > 1) compressRate = 1
+
+    return this._waitForBgLoad().then(() =>
+      type === 'svg'
+        ? Buffer.from(this.getSVG(options))
+        : this._canvasToBuffer(
+            this._getExportCanvas(options),
+            type,
+            compressRate
+          )
+    )
+  }
+
+  /**
+   * 下载图片，背景图加载中时等待加载结束，仅支持浏览器环境
+   * @param {String} type 图片类型，支持svg
    * @param {Number} compressRate 压缩比率，默认原图输出
+   * @param {String} name 文件名
+   * @param {Object} options 导出选项，同getDataUrl，默认按逻辑尺寸导出
    */
-  download(type = 'png', compressRate = 1, name = 'drawing-board') {
+  download(
+    type = 'png',
+    compressRate = 1,
+    name = 'drawing-board',
+    options = {}
+  ) {
     if (
-      !DrawingBoard.IMG_TYPE_ENUM.includes(type) ||
+      (!DrawingBoard.IMG_TYPE_ENUM.includes(type) &&
+        !DrawingBoard.VECTOR_TYPE_ENUM.includes(type)) ||
       typeof compressRate !== 'number' ||
-      isNaN(compressRate)
+      isNaN(compressRate) ||
+      typeof document === 'undefined'
     ) {
       return
     }
@@ -884,9 +4316,11 @@ class DrawingBoard {
     if (compressRate < 0.3) compressRate = 0.3
     if (compressRate > 1) compressRate = 1
 
-    const url = this.getDataUrl(type, compressRate)
+    return this._waitForBgLoad().then(() => {
+      const url = this.getDataUrl(type, compressRate, options)
+
+      if (!url) return
 
-    if (url) {
       let link = document.createElement('a')
       document.body.appendChild(link)
       link.href = url
@@ -901,7 +4335,7 @@ class DrawingBoard {
         clearTimeout(timer)
         timer = null
       }, 200)
-    }
+    })
   }
 }
 